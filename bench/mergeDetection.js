@@ -0,0 +1,135 @@
+// Suikiii Game - Merge detection benchmark
+//
+// Fills a wide board with fruit until at least the given number of bodies rest on it, then
+// times each simulateTick and, on their own, the two ways of finding merges: the work
+// simulateTick does after the physics step (syncing block positions, then resolving the
+// contacts the collision events collected) next to the same position sync followed by the
+// all-pairs distance scan the server used before. Collecting the contacts happens inside
+// the physics step, one push per touching pair, and is counted with the tick only.
+//
+// Usage: npm run bench -- [bodyCounts...]   (default: 100 150)
+
+const Matter = require('matter-js');
+const { buildRoom, dropFruit, simulateTick, getGameConfig, getFruitByLevel } = require('../server');
+
+const MEASURE_TICKS = 600;
+const MAX_ROWS = 200;
+const SETTLE_TICKS = 300;
+const TICKS_PER_ROW = 30;
+const COLUMN_SPACING = 150;
+
+// Room for a few hundred fruit without reaching the game over line
+const baseConfig = getGameConfig();
+const config = { ...baseConfig, board: { ...baseConfig.board, width: 2400, height: 2400 } };
+
+// The previous approach: compare every pair of blocks on every tick
+function distanceScan(blocks) {
+    let candidates = 0;
+    for (let i = 0; i < blocks.length; i++) {
+        for (let j = i + 1; j < blocks.length; j++) {
+            const b1 = blocks[i];
+            const b2 = blocks[j];
+            if (b1.level !== b2.level) continue;
+            const dx = b1.x - b2.x;
+            const dy = b1.y - b2.y;
+            if (Math.sqrt(dx * dx + dy * dy) < (b1.radius + b2.radius) * 1.05) candidates++;
+        }
+    }
+    return candidates;
+}
+
+function stats(samples) {
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length;
+    return { mean, p95: sorted[Math.floor(sorted.length * 0.95)] };
+}
+
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+function time(fn) {
+    const start = now();
+    fn();
+    return now() - start;
+}
+
+// The position sync simulateTick does before looking for merges
+function syncPositions(room) {
+    return room.gameState.blocks.map((block) => {
+        const body = room.bodiesMap.get(block.uid);
+        return {
+            ...block,
+            x: body.position.x,
+            y: body.position.y,
+            vx: body.velocity.x,
+            vy: body.velocity.y,
+            rotation: body.angle,
+            angularVelocity: body.angularVelocity
+        };
+    });
+}
+
+// Drop rows of mixed small fruit, settling after each batch, until merges leave at least
+// targetBodies on the board
+function fill(room, targetBodies) {
+    const columns = Math.floor((config.board.width - COLUMN_SPACING) / COLUMN_SPACING);
+    while (room.gameState.blocks.length < targetBodies) {
+        while (room.gameState.blocks.length < targetBodies) {
+            if (room.benchRows >= MAX_ROWS) {
+                throw new Error(`No room for ${targetBodies} bodies after ${MAX_ROWS} rows`);
+            }
+            const missing = targetBodies - room.gameState.blocks.length;
+            for (let col = 0; col < Math.min(columns, missing); col++) {
+                const level = (room.benchDropped % 5) + 1;
+                dropFruit(room, COLUMN_SPACING * (col + 1), 'bench', getFruitByLevel(config, level));
+                room.benchDropped++;
+            }
+            for (let t = 0; t < TICKS_PER_ROW; t++) simulateTick(room);
+            room.benchRows++;
+        }
+        for (let t = 0; t < SETTLE_TICKS; t++) simulateTick(room);
+    }
+}
+
+function run(targetBodies) {
+    const room = buildRoom(`bench-${targetBodies}`, () => {}, { seed: 42, config });
+    room.benchDropped = 0;
+    room.benchRows = 0;
+    
+    // The rest of simulateTick starts where the physics step ends
+    let physicsDoneAt = 0;
+    Matter.Events.on(room.engine, 'afterUpdate', () => {
+        physicsDoneAt = now();
+    });
+    
+    const tickSamples = [];
+    const mergeSamples = [];
+    const scanSamples = [];
+    let fewest = Infinity;
+    while (tickSamples.length < MEASURE_TICKS) {
+        // Merges while measuring thin the board out; top it up (untimed) before going on
+        if (room.gameState.blocks.length < targetBodies) fill(room, targetBodies);
+        fewest = Math.min(fewest, room.gameState.blocks.length);
+        
+        tickSamples.push(time(() => simulateTick(room)));
+        mergeSamples.push(now() - physicsDoneAt);
+        scanSamples.push(time(() => distanceScan(syncPositions(room))));
+    }
+    
+    return {
+        bodies: fewest,
+        tick: stats(tickSamples),
+        merges: stats(mergeSamples),
+        scan: stats(scanSamples)
+    };
+}
+
+const counts = process.argv.slice(2).map(Number).filter(n => Number.isInteger(n) && n > 0);
+const format = ({ mean, p95 }) => `${mean.toFixed(3)} / ${p95.toFixed(3)}`;
+
+console.log('bodies | simulateTick | sync + collision-event merges | sync + old distance scan   (mean / p95, ms)');
+(counts.length > 0 ? counts : [100, 150]).forEach(target => {
+    const { bodies, tick, merges, scan } = run(target);
+    console.log(`${String(bodies).padStart(6)} | ${format(tick)} | ${format(merges)} | ${format(scan)}`);
+});
+
+process.exit(0);
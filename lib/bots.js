@@ -0,0 +1,112 @@
+// Suikiii Game - Drop placement for server-side bot players
+//
+// A strategy picks the x to drop the bot's next fruit at from a read-only view of the board:
+//   random     anywhere the fruit fits
+//   greedy     onto the highest same-level fruit, else onto the lowest part of the pile
+//   lookahead  tries candidate drops in a simulation and keeps the best outcome
+// Lookahead needs its candidate drops played out, which the strategies here know no physics
+// for: chooseDropX runs them all through context.simulate(x), while callers that can't
+// afford that in one go use getLookaheadCandidates and pickLookaheadX to spread them out.
+
+const BOT_STRATEGIES = ['random', 'greedy', 'lookahead'];
+
+// Difficulty picks a default strategy and pacing; lookahead cost grows with candidates * ticks
+const BOT_DIFFICULTIES = {
+    easy: { strategy: 'random', dropIntervalMs: 2500 },
+    medium: { strategy: 'greedy', dropIntervalMs: 1800 },
+    hard: { strategy: 'lookahead', dropIntervalMs: 1400, candidates: 6, lookaheadTicks: 45 }
+};
+
+const DANGER_MARGIN = 150; // Lookahead treats fruit this close to the game over line as a threat
+
+// Where a fruit of this radius may be dropped
+function getDropRange(board, radius) {
+    return { min: board.borderWidth + radius, max: board.width - board.borderWidth - radius };
+}
+
+// Top of the pile under a fruit of this radius dropped at x (larger y is lower)
+function getSurfaceY(blocks, board, x, radius) {
+    return blocks.reduce((surface, block) => {
+        if (Math.abs(block.x - x) >= block.radius + radius) return surface;
+        return Math.min(surface, block.y - block.radius);
+    }, board.height);
+}
+
+function randomX({ board, fruit, rng }) {
+    const { min, max } = getDropRange(board, fruit.radius);
+    return min + rng() * (max - min);
+}
+
+function lowestColumnX({ board, blocks, fruit }, samples = 16) {
+    const { min, max } = getDropRange(board, fruit.radius);
+    let best = { x: (min + max) / 2, surface: -Infinity };
+    for (let i = 0; i <= samples; i++) {
+        const x = min + (max - min) * i / samples;
+        const surface = getSurfaceY(blocks, board, x, fruit.radius);
+        if (surface > best.surface) best = { x, surface };
+    }
+    return best.x;
+}
+
+function greedyX(context) {
+    const { blocks, fruit } = context;
+    const mergeable = block => !block.powerUp && (fruit.powerUp === 'rainbow' || block.level === fruit.level);
+    // A bomb wants the tallest part of the pile
+    if (fruit.powerUp === 'bomb') {
+        const top = blocks.reduce((best, block) => (!best || block.y < best.y ? block : best), null);
+        return top ? top.x : randomX(context);
+    }
+
+    // Highest one is the most likely to be reachable from above; a rainbow goes for the biggest
+    const target = blocks
+        .filter(mergeable)
+        .sort((a, b) => (fruit.powerUp === 'rainbow' ? b.level - a.level : 0) || a.y - b.y)[0];
+    return target ? target.x : lowestColumnX(context);
+}
+
+// Lookahead's drops to try: evenly spaced candidates plus the greedy pick
+function getLookaheadCandidates(context, { candidates = 6 } = {}) {
+    const { board, fruit } = context;
+    const { min, max } = getDropRange(board, fruit.radius);
+    const xs = [greedyX(context)];
+    for (let i = 0; i < candidates; i++) {
+        xs.push(min + (max - min) * (i + 0.5) / candidates);
+    }
+    return xs;
+}
+
+// The best of the candidates once each has played out. outcomes: { x, points, topY },
+// topY being the highest fruit's top edge afterwards.
+function pickLookaheadX(board, outcomes) {
+    const dangerY = board.gameOverLine + DANGER_MARGIN;
+    let best = null;
+    outcomes.forEach(({ x, points, topY }) => {
+        // Points first, then a lower pile; crowding the game over line costs heavily
+        const value = points + (topY - board.height) * 0.5 - Math.max(0, dangerY - topY) * 100;
+        if (!best || value > best.value) best = { x, value };
+    });
+    return best.x;
+}
+
+// simulate(x) returns { points, topY } after the drop has played out
+function lookaheadX(context, options) {
+    const outcomes = getLookaheadCandidates(context, options).map(x => ({ x, ...context.simulate(x) }));
+    return pickLookaheadX(context.board, outcomes);
+}
+
+// context: { board, blocks, fruit: { level, radius, powerUp }, rng, simulate }
+function chooseDropX(strategy, context, options) {
+    switch (strategy) {
+        case 'greedy': return greedyX(context);
+        case 'lookahead': return lookaheadX(context, options);
+        default: return randomX(context);
+    }
+}
+
+module.exports = {
+    BOT_STRATEGIES,
+    BOT_DIFFICULTIES,
+    chooseDropX,
+    getLookaheadCandidates,
+    pickLookaheadX
+};
@@ -0,0 +1,339 @@
+// Suikiii Game - Message broker shared by server instances: pub/sub plus expiring keys
+//
+// Instances talk to each other through it (socket.io broadcasts, see clusterAdapter.js) and
+// agree on who runs which room (see roomOwnership.js). Every call returns a promise:
+//   publish(channel, message), subscribe(channel, handler)   messages are strings
+//   get(key)                          the value, or null
+//   set(key, value, ttlMs)
+//   setIfAbsent(key, value, ttlMs)    true if it was set
+//   renewIfEqual(key, value, ttlMs)   true if the key still held value and got a new ttl
+//   deleteIfEqual(key, value)
+//   close()
+// The memory broker keeps everything in this process: a lone instance, or several servers
+// in one process for tests. The Redis broker speaks RESP to Redis or anything compatible.
+
+const net = require('net');
+const { logger } = require('./logger');
+
+const RECONNECT_DELAY_MS = 1000;
+
+// Compare-and-act on a lease in one step, so a lapsed lease someone else took is left alone
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const DELETE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+// Hand a message to a subscriber. Whatever it throws is its own problem: it must neither
+// crash the process nor be taken for a broken connection.
+function deliver(handler, channel, message) {
+    try {
+        handler(message);
+    } catch (err) {
+        logger.error('Subscriber failed on a broker message', { channel, error: err.message });
+    }
+}
+
+function createMemoryBroker() {
+    const values = new Map(); // key -> { value, expiresAt }
+    const channels = new Map(); // channel -> Set of handlers
+    
+    // Live entry for key; expired ones are dropped on the way
+    function read(key) {
+        const entry = values.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            values.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+    
+    async function publish(channel, message) {
+        const handlers = channels.get(channel);
+        if (!handlers) return;
+        // Delivered on a later turn, as it would be over a network
+        handlers.forEach(handler => setImmediate(deliver, handler, channel, message));
+    }
+    
+    async function subscribe(channel, handler) {
+        if (!channels.has(channel)) {
+            channels.set(channel, new Set());
+        }
+        channels.get(channel).add(handler);
+    }
+    
+    async function get(key) {
+        const entry = read(key);
+        return entry ? entry.value : null;
+    }
+    
+    async function set(key, value, ttlMs) {
+        values.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+    
+    async function setIfAbsent(key, value, ttlMs) {
+        if (read(key)) return false;
+        values.set(key, { value, expiresAt: Date.now() + ttlMs });
+        return true;
+    }
+    
+    async function renewIfEqual(key, value, ttlMs) {
+        const entry = read(key);
+        if (!entry || entry.value !== value) return false;
+        entry.expiresAt = Date.now() + ttlMs;
+        return true;
+    }
+    
+    async function deleteIfEqual(key, value) {
+        const entry = read(key);
+        if (entry && entry.value === value) {
+            values.delete(key);
+        }
+    }
+    
+    async function close() {
+        channels.clear();
+    }
+    
+    return {
+        publish,
+        subscribe,
+        get,
+        set,
+        setIfAbsent,
+        renewIfEqual,
+        deleteIfEqual,
+        close
+    };
+}
+
+// RESP request: an array of bulk strings
+function encodeCommand(args) {
+    return `*${args.length}\r\n` + args.map(arg => {
+        const text = String(arg);
+        return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+    }).join('');
+}
+
+// Incremental RESP reply parser: feed it chunks as they arrive, it calls onReply once per
+// complete reply. Error replies come through as Error values.
+function createReplyParser(onReply) {
+    let buffer = Buffer.alloc(0);
+    
+    // [reply, offset after it], or null when the buffer ends partway through
+    function parseAt(offset) {
+        const lineEnd = buffer.indexOf('\r\n', offset);
+        if (lineEnd === -1) return null;
+        const type = String.fromCharCode(buffer[offset]);
+        const line = buffer.toString('utf8', offset + 1, lineEnd);
+        const next = lineEnd + 2;
+        
+        switch (type) {
+            case '+': return [line, next];
+            case '-': return [new Error(line), next];
+            case ':': return [Number(line), next];
+            case '$': {
+                const length = Number(line);
+                if (length < 0) return [null, next];
+                if (buffer.length < next + length + 2) return null;
+                return [buffer.toString('utf8', next, next + length), next + length + 2];
+            }
+            case '*': {
+                const count = Number(line);
+                if (count < 0) return [null, next];
+                const items = [];
+                let at = next;
+                for (let i = 0; i < count; i++) {
+                    const parsed = parseAt(at);
+                    if (!parsed) return null;
+                    items.push(parsed[0]);
+                    at = parsed[1];
+                }
+                return [items, at];
+            }
+            default:
+                throw new Error(`Unexpected RESP reply type '${type}'`);
+        }
+    }
+    
+    return (chunk) => {
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+        let offset = 0;
+        let parsed;
+        while (offset < buffer.length && (parsed = parseAt(offset))) {
+            onReply(parsed[0]);
+            offset = parsed[1];
+        }
+        buffer = buffer.subarray(offset);
+    };
+}
+
+// One connection, opened on first use. Replies come back in command order; pub/sub
+// messages go to onMessage(channel, message). After a drop it reconnects and replays
+// `setup` (AUTH, SELECT, SUBSCRIBE) first.
+function createRedisConnection({ host, port }, setup, onMessage = null) {
+    let socket = null;
+    let pending = []; // { resolve, reject } per command awaiting its reply, oldest first
+    let reconnectTimer = null;
+    let reportedError = false;
+    let closed = false;
+    
+    function onReply(reply) {
+        if (onMessage && Array.isArray(reply) && reply[0] === 'message') {
+            onMessage(reply[1], reply[2]);
+            return;
+        }
+        const request = pending.shift();
+        if (!request) return;
+        if (reply instanceof Error) {
+            request.reject(reply);
+        } else {
+            request.resolve(reply);
+        }
+    }
+    
+    function write(args) {
+        return new Promise((resolve, reject) => {
+            pending.push({ resolve, reject });
+            socket.write(encodeCommand(args));
+        });
+    }
+    
+    function connect() {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        
+        const parse = createReplyParser(onReply);
+        socket = net.createConnection({ host, port });
+        socket.setNoDelay(true);
+        socket.on('connect', () => {
+            reportedError = false;
+        });
+        socket.on('data', (chunk) => {
+            try {
+                parse(chunk);
+            } catch (err) {
+                logger.error('Bad reply from broker, reconnecting', { error: err.message });
+                socket.destroy();
+            }
+        });
+        // Reported once per outage rather than on every retry
+        socket.on('error', (err) => {
+            if (reportedError) return;
+            reportedError = true;
+            logger.error('Broker connection failed', { host, port, error: err.message });
+        });
+        socket.on('close', () => {
+            socket = null;
+            const failed = pending;
+            pending = [];
+            failed.forEach(request => request.reject(new Error('Broker connection closed')));
+            if (!closed) {
+                reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+            }
+        });
+        
+        setup.forEach(args => write(args).catch(err => {
+            logger.error('Broker setup command failed', { command: args[0], error: err.message });
+        }));
+    }
+    
+    function command(...args) {
+        if (closed) return Promise.reject(new Error('Broker is closed'));
+        if (!socket) connect();
+        return write(args);
+    }
+    
+    function close() {
+        closed = true;
+        clearTimeout(reconnectTimer);
+        if (socket) socket.end();
+    }
+    
+    return { command, close };
+}
+
+// url: redis://[user:password@]host[:port][/db]
+function createRedisBroker(url) {
+    const parsed = new URL(url);
+    const address = { host: parsed.hostname || 'localhost', port: Number(parsed.port) || 6379 };
+    const setup = [];
+    if (parsed.password) {
+        setup.push(parsed.username
+            ? ['AUTH', decodeURIComponent(parsed.username), decodeURIComponent(parsed.password)]
+            : ['AUTH', decodeURIComponent(parsed.password)]);
+    }
+    const db = Number(parsed.pathname.slice(1));
+    if (db) {
+        setup.push(['SELECT', db]);
+    }
+    
+    const handlers = new Map(); // channel -> Set of handlers
+    const subscriberSetup = setup.slice(); // Grows with each channel, so a reconnect resubscribes
+    const commands = createRedisConnection(address, setup);
+    // A subscribed connection can't run other commands, hence a second one
+    const subscriber = createRedisConnection(address, subscriberSetup, (channel, message) => {
+        (handlers.get(channel) || []).forEach(handler => deliver(handler, channel, message));
+    });
+    
+    async function publish(channel, message) {
+        await commands.command('PUBLISH', channel, message);
+    }
+    
+    async function subscribe(channel, handler) {
+        if (handlers.has(channel)) {
+            handlers.get(channel).add(handler);
+            return;
+        }
+        handlers.set(channel, new Set([handler]));
+        const subscribed = subscriber.command('SUBSCRIBE', channel);
+        subscriberSetup.push(['SUBSCRIBE', channel]);
+        await subscribed;
+    }
+    
+    async function get(key) {
+        return commands.command('GET', key);
+    }
+    
+    async function set(key, value, ttlMs) {
+        await commands.command('SET', key, value, 'PX', Math.ceil(ttlMs));
+    }
+    
+    async function setIfAbsent(key, value, ttlMs) {
+        return (await commands.command('SET', key, value, 'NX', 'PX', Math.ceil(ttlMs))) === 'OK';
+    }
+    
+    async function renewIfEqual(key, value, ttlMs) {
+        return (await commands.command('EVAL', RENEW_SCRIPT, 1, key, value, Math.ceil(ttlMs))) === 1;
+    }
+    
+    async function deleteIfEqual(key, value) {
+        await commands.command('EVAL', DELETE_SCRIPT, 1, key, value);
+    }
+    
+    async function close() {
+        commands.close();
+        subscriber.close();
+    }
+    
+    return {
+        publish,
+        subscribe,
+        get,
+        set,
+        setIfAbsent,
+        renewIfEqual,
+        deleteIfEqual,
+        close
+    };
+}
+
+// No url: in-process only. redis:// urls: a Redis (or compatible) server.
+function createBroker(url) {
+    if (!url) return createMemoryBroker();
+    if (url.startsWith('redis://')) return createRedisBroker(url);
+    throw new Error(`Unsupported broker url: ${url} (expected redis://host:port)`);
+}
+
+module.exports = {
+    createBroker,
+    createMemoryBroker,
+    createRedisBroker
+};
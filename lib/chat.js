@@ -0,0 +1,48 @@
+// Suikiii Game - Chat word filter and the emote set
+//
+// The filter file lists one word or phrase per line; blank lines and lines starting
+// with '#' are ignored. Matches are whole words, case-insensitive, and are starred out.
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+// The only reactions clients may send
+const EMOTES = ['wave', 'laugh', 'wow', 'cry', 'angry', 'love', 'gg', 'nice'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns text => filtered text
+function createWordFilter(words) {
+    const cleaned = words.map(word => word.trim()).filter(Boolean);
+    if (cleaned.length === 0) return text => text;
+    
+    const pattern = new RegExp(`\\b(?:${cleaned.map(escapeRegExp).join('|')})\\b`, 'gi');
+    return text => text.replace(pattern, match => '*'.repeat(match.length));
+}
+
+// A missing file means no filtering; an unreadable one is reported and also means none
+function loadWordFilter(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return createWordFilter([]);
+    
+    try {
+        const words = fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+        if (words.length > 0) {
+            logger.info('Loaded chat word filter', { file: filePath, words: words.length });
+        }
+        return createWordFilter(words);
+    } catch (err) {
+        logger.error('Failed to read chat word filter, chat is unfiltered', { file: filePath, error: err.message });
+        return createWordFilter([]);
+    }
+}
+
+module.exports = {
+    EMOTES,
+    createWordFilter,
+    loadWordFilter
+};
@@ -0,0 +1,65 @@
+// Suikiii Game - socket.io adapter that fans broadcasts out to every instance through a broker
+//
+// socket.io-adapter's ClusterAdapterWithHeartbeat implements the protocol (broadcasts, room
+// joins, disconnects, fetchSockets, serverSideEmit, heartbeats); this only carries its
+// messages over the broker (see broker.js). Messages travel as JSON, so broadcast packets
+// must not carry binary attachments.
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { logger } = require('./logger');
+
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, broker, { channelPrefix = 'suikiii', ...options }) {
+        super(nsp, options);
+        this.broker = broker;
+        this.channel = `${channelPrefix}#${nsp.name}#`; // Shared by every instance
+        this.subscribed = Promise.all([
+            broker.subscribe(this.channel, raw => this.receive(raw, message => this.onMessage(message))),
+            // Answers to this instance's requests (fetchSockets, serverSideEmit acks)
+            broker.subscribe(this.responseChannel(this.uid), raw => this.receive(raw, response => this.onResponse(response)))
+        ]);
+    }
+    
+    // Anything else on the channel (malformed, or from something that isn't an adapter) is dropped
+    receive(raw, handle) {
+        try {
+            handle(JSON.parse(raw));
+        } catch (err) {
+            logger.error('Dropping unreadable cluster message', { channel: this.channel, error: err.message });
+        }
+    }
+    
+    responseChannel(uid) {
+        return `${this.channel}${uid}#`;
+    }
+    
+    // Announce this instance only once it can hear the replies
+    async init() {
+        try {
+            await this.subscribed;
+        } catch (err) {
+            logger.error('Cluster adapter failed to subscribe', { channel: this.channel, error: err.message });
+            return;
+        }
+        super.init();
+    }
+    
+    async doPublish(message) {
+        await this.broker.publish(this.channel, JSON.stringify(message));
+        return ''; // No offsets: connection state recovery isn't used
+    }
+    
+    async doPublishResponse(requesterUid, response) {
+        await this.broker.publish(this.responseChannel(requesterUid), JSON.stringify(response));
+    }
+}
+
+// For io.adapter(): socket.io builds one adapter per namespace with `new`.
+// options: { channelPrefix, heartbeatInterval, heartbeatTimeout }
+function createBrokerAdapter(broker, options = {}) {
+    return function (nsp) {
+        return new BrokerAdapter(nsp, broker, options);
+    };
+}
+
+module.exports = { createBrokerAdapter };
@@ -0,0 +1,237 @@
+// Suikiii Game - Data-driven game configuration
+//
+// A config directory holds three kinds of JSON file, each named by its file name:
+//   games/<name>.json      board size, combo window, and the fruit set and physics preset to use
+//   fruitSets/<name>.json  fruits by level plus spawn weights for the droppable levels
+//   physics/<name>.json    gravity, solver iterations and body options
+// A game may also list power-ups (special fruit with their own trigger rules) and how often they spawn,
+// and change how the game over line is enforced (gameOver; GAME_OVER_DEFAULTS otherwise).
+// Everything is validated when loaded; a bad file fails startup naming the file and field.
+
+const fs = require('fs');
+const path = require('path');
+const { validatePayload } = require('./validation');
+
+const MAX_FRUITS = 20;
+
+const BOARD_SCHEMA = {
+    width: { type: 'number', required: true, min: 200, max: 4000 },
+    height: { type: 'number', required: true, min: 200, max: 4000 },
+    borderWidth: { type: 'number', required: true, min: 0, max: 100 },
+    gameOverLine: { type: 'number', required: true, min: 0 }
+};
+
+const GAME_SCHEMA = {
+    comboWindowMs: { type: 'number', required: true, min: 0, max: 60000 },
+    fruitSet: { type: 'string', required: true, maxLength: 64 },
+    physics: { type: 'string', required: true, maxLength: 64 }
+};
+
+const FRUIT_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 40 },
+    level: { type: 'integer', required: true, min: 1, max: MAX_FRUITS },
+    color: { type: 'string', required: true, maxLength: 32 },
+    image: { type: 'string', maxLength: 500 },
+    baseSize: { type: 'number', required: true, min: 1, max: 500 },
+    sizeIncrement: { type: 'number', required: true, min: 0, max: 100 },
+    collisionScale: { type: 'number', min: 0.1, max: 2 }
+};
+
+const PHYSICS_SCHEMA = {
+    gravity: { type: 'number', required: true, min: 0, max: 5 },
+    positionIterations: { type: 'integer', required: true, min: 1, max: 50 },
+    velocityIterations: { type: 'integer', required: true, min: 1, max: 50 }
+};
+
+const WALL_SCHEMA = {
+    friction: { type: 'number', required: true, min: 0, max: 1 },
+    restitution: { type: 'number', required: true, min: 0, max: 1 }
+};
+
+const FRUIT_BODY_SCHEMA = {
+    restitution: { type: 'number', required: true, min: 0, max: 1 },
+    friction: { type: 'number', required: true, min: 0, max: 1 },
+    frictionAir: { type: 'number', required: true, min: 0, max: 1 },
+    density: { type: 'number', required: true, min: 0.0001, max: 1 }
+};
+
+// Levels up to maxLevel get their own friction so small fruit doesn't skate around
+const SMALL_FRUIT_SCHEMA = {
+    maxLevel: { type: 'integer', required: true, min: 0, max: MAX_FRUITS },
+    friction: { type: 'number', required: true, min: 0, max: 1 },
+    frictionAir: { type: 'number', required: true, min: 0, max: 1 }
+};
+
+// spawnChance: share of random fruit replaced by a power-up
+// comboReward: every Nth step of a combo hands its player a power-up as their next fruit (0 = never)
+const POWER_UPS_SCHEMA = {
+    spawnChance: { type: 'number', required: true, min: 0, max: 1 },
+    comboReward: { type: 'integer', required: true, min: 0, max: 100 }
+};
+
+const POWER_UP_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 40 },
+    color: { type: 'string', required: true, maxLength: 32 },
+    image: { type: 'string', maxLength: 500 },
+    size: { type: 'number', required: true, min: 1, max: 500 }, // Radius
+    weight: { type: 'number', required: true, min: 0 } // Relative odds when one is picked
+};
+
+// The settings each power-up's trigger rule needs, on top of POWER_UP_SCHEMA
+const POWER_UP_RULES = {
+    bomb: { radius: { type: 'number', required: true, min: 1, max: 4000 } }, // Clears fruit within this distance
+    rainbow: {}, // Merges with any fruit it touches
+    shaker: { strength: { type: 'number', required: true, min: 0, max: 50 } }, // Max kick given to every fruit
+    freeze: { seconds: { type: 'number', required: true, min: 0.1, max: 60 } } // Time the board stays fixed
+};
+
+// Fruit counts as resting once it moves slower than settleVelocity (per tick);
+// resting above the game over line for graceMs ends the game. With lastChance, any merge
+// during that countdown starts it over.
+const GAME_OVER_SCHEMA = {
+    graceMs: { type: 'number', min: 0, max: 60000 },
+    settleVelocity: { type: 'number', min: 0, max: 50 },
+    lastChance: { type: 'boolean' }
+};
+
+const GAME_OVER_DEFAULTS = { graceMs: 3000, settleVelocity: 0.3, lastChance: false };
+
+function check(schema, data, where) {
+    const { value, error } = validatePayload(schema, data);
+    if (error) throw new Error(`${where}: ${error}`);
+    return value;
+}
+
+function readConfigDir(dirPath) {
+    const files = new Map();
+    if (!fs.existsSync(dirPath)) return files;
+    
+    fs.readdirSync(dirPath)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const filePath = path.join(dirPath, file);
+            try {
+                files.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(filePath, 'utf8')));
+            } catch (err) {
+                throw new Error(`${filePath}: ${err.message}`);
+            }
+        });
+    return files;
+}
+
+function parseFruitSet(data, where) {
+    if (!data || !Array.isArray(data.fruits) || data.fruits.length < 2 || data.fruits.length > MAX_FRUITS) {
+        throw new Error(`${where}: fruits must be a list of 2 to ${MAX_FRUITS} fruits`);
+    }
+    
+    const fruits = data.fruits.map((fruit, idx) => {
+        const value = check(FRUIT_SCHEMA, fruit, `${where} fruits[${idx}]`);
+        // Levels are 1..n in order, merging always makes the next one up
+        if (value.level !== idx + 1) {
+            throw new Error(`${where} fruits[${idx}]: level must be ${idx + 1}`);
+        }
+        return { collisionScale: 1.0, ...value };
+    });
+    
+    const weights = data.spawnWeights;
+    if (!Array.isArray(weights) || weights.length === 0 || weights.length >= fruits.length) {
+        throw new Error(`${where}: spawnWeights must list weights for 1 to ${fruits.length - 1} levels`);
+    }
+    if (weights.some(w => typeof w !== 'number' || !Number.isFinite(w) || w < 0) || !weights.some(w => w > 0)) {
+        throw new Error(`${where}: spawnWeights must be non-negative numbers, at least one above 0`);
+    }
+    
+    return { fruits, spawnWeights: weights.slice() };
+}
+
+function parsePhysics(data, where) {
+    const physics = check(PHYSICS_SCHEMA, data, where);
+    physics.walls = check(WALL_SCHEMA, data.walls, `${where} walls`);
+    physics.fruit = check(FRUIT_BODY_SCHEMA, data.fruit, `${where} fruit`);
+    physics.smallFruit = check(SMALL_FRUIT_SCHEMA, data.smallFruit, `${where} smallFruit`);
+    return physics;
+}
+
+function parsePowerUps(data, where) {
+    if (data === undefined) return null;
+    
+    const powerUps = check(POWER_UPS_SCHEMA, data, where);
+    const types = data.types;
+    if (!types || typeof types !== 'object' || Array.isArray(types)) {
+        throw new Error(`${where}: types must map power-up names to their settings`);
+    }
+    
+    powerUps.types = {};
+    Object.keys(types).forEach(type => {
+        const rules = POWER_UP_RULES[type];
+        if (!rules) {
+            throw new Error(`${where} types: unknown power-up "${type}" (known: ${Object.keys(POWER_UP_RULES).join(', ')})`);
+        }
+        powerUps.types[type] = check({ ...POWER_UP_SCHEMA, ...rules }, types[type], `${where} types.${type}`);
+    });
+    if (!Object.values(powerUps.types).some(settings => settings.weight > 0)) {
+        throw new Error(`${where} types: at least one power-up needs a weight above 0`);
+    }
+    
+    return powerUps;
+}
+
+function parseGame(name, data, fruitSets, physicsPresets, where) {
+    const game = check(GAME_SCHEMA, data, where);
+    const board = check(BOARD_SCHEMA, data && data.board, `${where} board`);
+    if (board.gameOverLine >= board.height) {
+        throw new Error(`${where} board: gameOverLine must be above the bottom of the board`);
+    }
+    
+    const fruitSet = fruitSets.get(game.fruitSet);
+    if (!fruitSet) throw new Error(`${where}: unknown fruitSet "${game.fruitSet}"`);
+    const physics = physicsPresets.get(game.physics);
+    if (!physics) throw new Error(`${where}: unknown physics preset "${game.physics}"`);
+    
+    return {
+        name,
+        board,
+        comboWindowMs: game.comboWindowMs,
+        fruitSet: game.fruitSet,
+        fruits: fruitSet.fruits,
+        spawnWeights: fruitSet.spawnWeights,
+        physicsPreset: game.physics,
+        physics,
+        powerUps: parsePowerUps(data.powerUps, `${where} powerUps`),
+        gameOver: { ...GAME_OVER_DEFAULTS, ...check(GAME_OVER_SCHEMA, data.gameOver, `${where} gameOver`) }
+    };
+}
+
+function deepFreeze(obj) {
+    Object.values(obj).forEach(value => {
+        if (value && typeof value === 'object') deepFreeze(value);
+    });
+    return Object.freeze(obj);
+}
+
+// Returns a Map of game config name -> resolved, frozen config
+function loadGameConfigs(dirPath) {
+    const fruitSets = new Map();
+    readConfigDir(path.join(dirPath, 'fruitSets')).forEach((data, name) => {
+        fruitSets.set(name, parseFruitSet(data, path.join(dirPath, 'fruitSets', `${name}.json`)));
+    });
+    
+    const physicsPresets = new Map();
+    readConfigDir(path.join(dirPath, 'physics')).forEach((data, name) => {
+        physicsPresets.set(name, parsePhysics(data, path.join(dirPath, 'physics', `${name}.json`)));
+    });
+    
+    const configs = new Map();
+    readConfigDir(path.join(dirPath, 'games')).forEach((data, name) => {
+        const where = path.join(dirPath, 'games', `${name}.json`);
+        configs.set(name, deepFreeze(parseGame(name, data, fruitSets, physicsPresets, where)));
+    });
+    
+    return configs;
+}
+
+module.exports = {
+    GAME_OVER_DEFAULTS,
+    loadGameConfigs
+};
@@ -0,0 +1,892 @@
+// Suikiii Game - Board simulation: physics, drops, merges, power-ups and the game over line
+//
+// A board is one game's state plus its Matter engine, advanced in fixed TICK_MS steps by
+// simulateTick. Nothing here reads the wall clock or Math.random on its own: fruit comes
+// from the board's rng (seeded, or injected) and timestamps from its clock, and every
+// timer (combo window, freeze, game over countdown) counts ticks. The server adds rooms,
+// players and sockets around boards; createGame wraps one for tests and tools, advanced
+// by hand with step(n).
+
+const crypto = require('crypto');
+const Matter = require('matter-js');
+const { createSeed, createRng } = require('./rng');
+const { parseMode } = require('./modes');
+const { GAME_OVER_DEFAULTS } = require('./gameConfig');
+const { logger } = require('./logger');
+
+const TICK_MS = 1000 / 60; // Fixed physics timestep
+const DANGER_TICK_INTERVAL = Math.round(1000 / TICK_MS); // A game over countdown reports once a second
+const DANGER_ANNOUNCE_TICKS = 12; // Countdowns shorter than this (0.2s) are never announced
+const GARBAGE_PLAYER_ID = 'garbage'; // droppedBy of garbage fruit (versus); earns nobody anything
+
+// Time source for the timestamps boards hand out (block createdAt, game startedAt)
+const systemClock = { now: () => Date.now() };
+const createGameId = () => crypto.randomUUID();
+
+function createGameState(highScore = 0, mode = parseMode(), clock = systemClock, gameId = createGameId()) {
+    return {
+        gameId, // Also the history record and replay id once the game ends
+        mode,
+        blocks: [],
+        score: 0,
+        highScore,
+        gameOver: false,
+        totalBlocks: 0,
+        maxCombo: 0,
+        combo: 0,
+        lastMergeTime: 0,
+        nextFruit: null,
+        contributors: {}, // playerId -> { name, drops }
+        highestLevel: 0,
+        turn: null, // turn-based: { playerId, deadlineTick }
+        sprintEndTick: mode.timed ? Math.round(mode.sprintMinutes * 60000 / TICK_MS) : null,
+        playerScores: {}, // per-player scoring: playerId -> { name, score }
+        playerStats: {}, // playerId -> { name, drops, points, merges: { level: count }, bestCombo, fruitsLost }
+        endReason: null,
+        paused: false,
+        frozenUntilTick: null, // Freeze power-up: fruit is held in place until this tick
+        startedAt: clock.now()
+    };
+}
+
+// Fruit
+function getRadius(fruit) {
+    const baseSize = fruit.baseSize || 20;
+    const sizeIncrement = fruit.sizeIncrement || 11;
+    const collisionScale = fruit.collisionScale || 1.0;
+    return (baseSize + (fruit.level * sizeIncrement)) * collisionScale;
+}
+
+function getFruitByLevel(config, level) {
+    const fruit = config.fruits.find(f => f.level === level);
+    return fruit ? { ...fruit } : null;
+}
+
+// rng: the board's PRNG, so the fruit sequence is reproducible
+function getRandomBlock(config, rng) {
+    const { powerUps } = config;
+    if (powerUps && powerUps.spawnChance > 0 && rng() < powerUps.spawnChance) {
+        return getPowerUpBlock(config, pickPowerUp(config, rng));
+    }
+    
+    const weights = config.spawnWeights;
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const rand = rng() * total;
+    
+    let level = weights.length;
+    let cumulative = 0;
+    for (let i = 0; i < weights.length; i++) {
+        cumulative += weights[i];
+        if (rand < cumulative) {
+            level = i + 1;
+            break;
+        }
+    }
+    return getFruitByLevel(config, level);
+}
+
+// Weighted pick among the config's power-ups
+function pickPowerUp(config, rng) {
+    const types = Object.entries(config.powerUps.types);
+    const total = types.reduce((sum, [, settings]) => sum + settings.weight, 0);
+    let rand = rng() * total;
+    
+    for (const [type, settings] of types) {
+        rand -= settings.weight;
+        if (rand < 0) return type;
+    }
+    return types.filter(([, settings]) => settings.weight > 0).pop()[0];
+}
+
+// Power-ups are level 0 blocks sized by the config; `powerUp` names their trigger rule
+function getPowerUpBlock(config, type) {
+    const settings = config.powerUps.types[type];
+    return {
+        name: settings.name,
+        color: settings.color,
+        image: settings.image,
+        level: 0,
+        baseSize: settings.size,
+        sizeIncrement: 0,
+        collisionScale: 1.0,
+        powerUp: type
+    };
+}
+
+// Matter body options for a fruit. Small fruit gets its own friction when dropped; fruit
+// created by a merge always moves like regular fruit, whatever its level.
+function getFruitBodyOptions(config, level, { merged = false } = {}) {
+    const { fruit, smallFruit } = config.physics;
+    const isSmall = !merged && level <= smallFruit.maxLevel;
+    return {
+        restitution: fruit.restitution,
+        friction: isSmall ? smallFruit.friction : fruit.friction,
+        frictionAir: isSmall ? smallFruit.frictionAir : fruit.frictionAir,
+        density: fruit.density,
+        label: `fruit-${level}`
+    };
+}
+
+// Boards
+// emit(event, data) is how the board reports merges and power-ups.
+// options:
+//   config      board, fruits and physics (required; see gameConfig.js)
+//   mode        parsed game mode (see modes.js)
+//   seed        seeds the fruit sequence; rng, if given, is used instead (a function
+//               returning [0, 1) like Math.random, with getState() if the board is snapshotted)
+//   clock       { now() } for timestamps; the system clock by default
+//   gameId      the first game's id, or a function returning a new one for every game
+//               (restarts included); a random UUID by default
+//   highScore   carried into the new game's state
+//   getName     playerId -> display name, for stats created by merges
+//   snapshot    resumes a board saved by getBoardSnapshot() instead of starting a new game
+function createBoard(id, emit, {
+    config,
+    mode = parseMode(),
+    seed = createSeed(),
+    rng = null,
+    clock = systemClock,
+    gameId = createGameId,
+    highScore = 0,
+    getName = playerId => playerId,
+    snapshot = null
+} = {}) {
+    const nextGameId = typeof gameId === 'function' ? gameId : createGameId;
+    const board = {
+        id,
+        emit,
+        mode,
+        config,
+        clock,
+        getName,
+        nextGameId, // Ids for the games after the first
+        gameState: snapshot ? restoreGameState(snapshot) : createGameState(highScore, mode, clock, typeof gameId === 'function' ? nextGameId() : gameId),
+        engine: null,
+        world: null,
+        bodiesMap: new Map(), // uid -> Matter body
+        bodyUids: new Map(), // Matter body id -> uid, for resolving collision pairs
+        contacts: [], // [bodyA, bodyB] pairs reported by the engine during the current tick
+        danger: null, // Game over countdown: { sinceTick, deadlineTick, uids, announced } while fruit rests over the line
+        lastMergeTime: 0,
+        comboCount: 0
+    };
+    
+    resetSimulation(board, seed, { rng, snapshot });
+    return board;
+}
+
+// Fresh engine, seed, tick counter and input log for a new game,
+// or the saved ones when resuming from a snapshot
+function resetSimulation(board, seed, { rng = null, snapshot = null } = {}) {
+    if (board.engine) {
+        destroyBoard(board);
+    }
+    board.contacts = [];
+    board.powerUpRewards = []; // Players owed a power-up by this tick's combos
+    board.danger = null;
+    
+    board.seed = seed;
+    board.rng = rng || createRng(seed);
+    board.tick = 0;
+    board.uidCounter = 0;
+    board.recording = {
+        seed,
+        drops: [], // { tick, x, playerId, level }
+        merges: [] // { tick, level, points, combo }
+    };
+    
+    if (snapshot) {
+        board.rng = createRng(snapshot.rngState);
+        board.tick = snapshot.tick;
+        board.uidCounter = snapshot.uidCounter;
+        board.recording = snapshot.recording;
+        board.comboCount = snapshot.comboCount;
+        board.lastMergeTime = snapshot.lastMergeTime;
+    }
+    
+    initPhysics(board, snapshot);
+}
+
+// New game on the same board. options: { seed, rng, gameId, mode, config, highScore } (a
+// new id from the board's gameId option, the board's mode and config, and the last
+// game's high score, unless given)
+function restartBoard(board, { seed = createSeed(), rng = null, gameId = board.nextGameId(), mode = board.mode, config = board.config, highScore = board.gameState.highScore } = {}) {
+    board.mode = mode;
+    board.config = config;
+    resetSimulation(board, seed, { rng });
+    
+    board.gameState = createGameState(highScore, mode, board.clock, gameId);
+    board.comboCount = 0;
+    board.lastMergeTime = 0;
+}
+
+// Free the board's engine; the board can't be stepped afterwards (until reset)
+function destroyBoard(board) {
+    Matter.World.clear(board.world, false);
+    Matter.Engine.clear(board.engine);
+    board.bodiesMap.clear();
+    board.bodyUids.clear();
+}
+
+// Deterministic per-game uid (no '-' so merge keys split cleanly)
+function nextUid(board) {
+    board.uidCounter++;
+    return `${board.seed.toString(36)}.${board.uidCounter}`;
+}
+
+// Simulated time, so combo timing replays identically
+function getGameTime(board) {
+    return board.tick * TICK_MS;
+}
+
+function boardLog(board) {
+    return logger.child({ roomId: board.id, gameId: board.gameState.gameId });
+}
+
+// Initialize Matter.js Physics
+function initPhysics(board, snapshot = null) {
+    const { board: dimensions, physics } = board.config;
+    board.engine = Matter.Engine.create({
+        gravity: { x: 0, y: physics.gravity },
+        enableSleeping: false,
+        positionIterations: physics.positionIterations,
+        velocityIterations: physics.velocityIterations
+    });
+    
+    board.world = board.engine.world;
+    
+    const wallOptions = {
+        isStatic: true,
+        friction: physics.walls.friction,
+        restitution: physics.walls.restitution,
+        label: 'wall'
+    };
+    const wallThickness = dimensions.borderWidth * 2;
+    
+    const ground = Matter.Bodies.rectangle(
+        dimensions.width / 2,
+        dimensions.height + wallThickness / 2,
+        dimensions.width,
+        wallThickness,
+        wallOptions
+    );
+    
+    const leftWall = Matter.Bodies.rectangle(
+        -wallThickness / 2,
+        dimensions.height / 2,
+        wallThickness,
+        dimensions.height,
+        wallOptions
+    );
+    
+    const rightWall = Matter.Bodies.rectangle(
+        dimensions.width + wallThickness / 2,
+        dimensions.height / 2,
+        wallThickness,
+        dimensions.height,
+        wallOptions
+    );
+    
+    Matter.World.add(board.world, [ground, leftWall, rightWall]);
+    
+    // Merge candidates come from the engine's own contact detection. collisionActive
+    // catches pairs that were already touching when one side became mergeable.
+    const collectContacts = (event) => {
+        event.pairs.forEach(pair => board.contacts.push([pair.bodyA, pair.bodyB]));
+    };
+    Matter.Events.on(board.engine, 'collisionStart', collectContacts);
+    Matter.Events.on(board.engine, 'collisionActive', collectContacts);
+    
+    if (snapshot) {
+        restoreBodies(board, snapshot.bodies);
+    }
+    
+    logger.debug('Physics engine initialized', { roomId: board.id });
+}
+
+// Drop Fruit - fruitToDrop defaults to the next one from the board's rng
+function dropFruit(board, x, playerId, fruitToDrop) {
+    const { gameState } = board;
+    const { board: dimensions } = board.config;
+    const nextBlock = fruitToDrop || getRandomBlock(board.config, board.rng);
+    const radius = getRadius(nextBlock);
+    
+    const newBlock = {
+        uid: nextUid(board),
+        x: Math.max(radius + dimensions.borderWidth, Math.min(dimensions.width - radius - dimensions.borderWidth, x)),
+        y: radius + dimensions.borderWidth + 20,
+        vx: 0,
+        vy: 0,
+        radius,
+        rotation: 0,
+        angularVelocity: 0,
+        name: nextBlock.name,
+        color: nextBlock.color,
+        image: nextBlock.image,
+        level: nextBlock.level,
+        baseSize: nextBlock.baseSize,
+        sizeIncrement: nextBlock.sizeIncrement,
+        collisionScale: nextBlock.collisionScale,
+        droppedBy: playerId,
+        owners: [playerId],
+        createdAt: board.clock.now()
+    };
+    if (nextBlock.powerUp) {
+        newBlock.powerUp = nextBlock.powerUp;
+    }
+    
+    const body = Matter.Bodies.circle(newBlock.x, newBlock.y, newBlock.radius, getFruitBodyOptions(board.config, newBlock.level));
+    
+    Matter.Body.setVelocity(body, { x: 0, y: 0 });
+    addBlockBody(board, newBlock, body);
+    
+    gameState.blocks.push(newBlock);
+    gameState.totalBlocks++;
+    gameState.highestLevel = Math.max(gameState.highestLevel, newBlock.level);
+    
+    board.recording.drops.push({
+        tick: board.tick,
+        x: newBlock.x,
+        playerId,
+        level: newBlock.level,
+        ...(newBlock.powerUp && { powerUp: newBlock.powerUp })
+    });
+    
+    boardLog(board).debug('Fruit dropped', { playerId, fruit: newBlock.name, level: newBlock.level, x: newBlock.x });
+    
+    return newBlock;
+}
+
+function addBlockBody(board, block, body) {
+    Matter.World.add(board.world, body);
+    board.bodiesMap.set(block.uid, body);
+    board.bodyUids.set(body.id, block.uid);
+}
+
+function removeBlockBody(board, uid) {
+    const body = board.bodiesMap.get(uid);
+    if (!body) return;
+    Matter.World.remove(board.world, body);
+    board.bodiesMap.delete(uid);
+    board.bodyUids.delete(body.id);
+}
+
+// Check for Merges - resolves the contacts the engine reported this tick.
+// Each block merges at most once per tick; a merged fruit gets a fresh body, so it
+// can chain into its next merge as soon as the engine reports its first contact.
+// Power-ups go off here too: see triggerPowerUp and getMergeLevel.
+function checkForMerges(board) {
+    const { gameState, config } = board;
+    if (board.contacts.length === 0) return;
+    
+    const contacts = board.contacts;
+    board.contacts = [];
+    
+    const maxLevel = config.fruits.length;
+    const blockIndex = new Map(gameState.blocks.map((block, idx) => [block.uid, idx]));
+    const consumed = new Set(); // uids merged away this tick
+    const toAdd = [];
+    
+    contacts.forEach(([bodyA, bodyB]) => {
+        const uidA = board.bodyUids.get(bodyA.id);
+        const uidB = board.bodyUids.get(bodyB.id);
+        if (consumed.has(uidA) || consumed.has(uidB)) return;
+        
+        // Bombs, shakers and freezes go off on their first contact, walls included
+        const triggered = [uidA, uidB]
+            .map(uid => gameState.blocks[blockIndex.get(uid)])
+            .find(block => block && block.powerUp && block.powerUp !== 'rainbow');
+        if (triggered) {
+            triggerPowerUp(board, triggered, consumed);
+            return;
+        }
+        if (uidA === undefined || uidB === undefined) return; // A wall
+        
+        // b1 is the older block, b2 the newer one (i.e. the drop that caused the merge)
+        const [i, j] = [blockIndex.get(uidA), blockIndex.get(uidB)].sort((x, y) => x - y);
+        const b1 = gameState.blocks[i];
+        const b2 = gameState.blocks[j];
+        const level = getMergeLevel(b1, b2);
+        if (level === null || level >= maxLevel) return;
+        
+        consumed.add(b1.uid);
+        consumed.add(b2.uid);
+        
+        const newLevel = level + 1;
+        const newFruit = getFruitByLevel(config, newLevel);
+        const newRadius = getRadius(newFruit);
+        const mergeX = (b1.x + b2.x) / 2;
+        const mergeY = (b1.y + b2.y) / 2;
+        
+        const basePoints = Math.pow(2, newLevel) * 10;
+        const now = getGameTime(board);
+        const timeSinceLastMerge = now - board.lastMergeTime;
+        board.lastMergeTime = now;
+        
+        let points = basePoints;
+        if (timeSinceLastMerge < config.comboWindowMs && board.comboCount > 0) {
+            board.comboCount++;
+            gameState.combo = board.comboCount;
+            points = Math.floor(basePoints * (1 + board.comboCount * 0.1));
+        } else {
+            board.comboCount = 1;
+            gameState.combo = 1;
+        }
+        
+        gameState.score += points;
+        if (gameState.score > gameState.highScore) {
+            gameState.highScore = gameState.score;
+        }
+        if (board.comboCount > gameState.maxCombo) {
+            gameState.maxCombo = board.comboCount;
+        }
+        gameState.highestLevel = Math.max(gameState.highestLevel, newLevel);
+        
+        const mergedBlock = {
+            uid: nextUid(board),
+            x: mergeX,
+            y: mergeY,
+            vx: (b1.vx + b2.vx) / 2,
+            vy: -3,
+            radius: newRadius,
+            rotation: 0,
+            angularVelocity: 0,
+            name: newFruit.name,
+            color: newFruit.color,
+            image: newFruit.image,
+            level: newLevel,
+            baseSize: newFruit.baseSize,
+            sizeIncrement: newFruit.sizeIncrement,
+            collisionScale: newFruit.collisionScale,
+            droppedBy: b2.droppedBy || b1.droppedBy,
+            owners: [...new Set([...getOwners(b1), ...getOwners(b2)])],
+            merged: true,
+            createdAt: board.clock.now()
+        };
+        toAdd.push(mergedBlock);
+        creditMerge(board, mergedBlock, points);
+        
+        const { powerUps } = config;
+        if (powerUps && powerUps.comboReward > 0 && board.comboCount % powerUps.comboReward === 0) {
+            board.powerUpRewards.push(mergedBlock.droppedBy);
+        }
+        
+        boardLog(board).debug('Merge', { fruit: mergedBlock.name, level: newLevel, points, combo: board.comboCount });
+        
+        board.recording.merges.push({
+            tick: board.tick,
+            level: newLevel,
+            points,
+            combo: board.comboCount,
+            playerId: mergedBlock.droppedBy
+        });
+        
+        board.emit('merge', {
+            x: mergeX,
+            y: mergeY,
+            color: b1.color,
+            points,
+            combo: board.comboCount,
+            level: newLevel,
+            newFruit: mergedBlock.name,
+            droppedBy: mergedBlock.droppedBy
+        });
+        if (b1.powerUp || b2.powerUp) {
+            board.emit('powerUp', { type: 'rainbow', phase: 'triggered', x: mergeX, y: mergeY, level: newLevel, droppedBy: mergedBlock.droppedBy });
+        }
+    });
+    
+    if (consumed.size === 0) return;
+    
+    consumed.forEach(uid => removeBlockBody(board, uid));
+    gameState.blocks = gameState.blocks.filter(block => !consumed.has(block.uid));
+    
+    toAdd.forEach(newBlock => {
+        const body = Matter.Bodies.circle(newBlock.x, newBlock.y, newBlock.radius, getFruitBodyOptions(config, newBlock.level, { merged: true }));
+        Matter.Body.setVelocity(body, { x: newBlock.vx, y: newBlock.vy });
+        addBlockBody(board, newBlock, body);
+        
+        gameState.blocks.push(newBlock);
+    });
+    
+    // Last chance: a merge during the game over countdown starts it over
+    if (toAdd.length > 0 && board.danger && getGameOverRules(config).lastChance) {
+        clearDanger(board, 'merge');
+    }
+}
+
+// Power-ups - dropped like fruit (level 0, spawned by getRandomBlock or earned with combos):
+//   bomb     clears every fruit within its radius on first contact
+//   rainbow  merges with any fruit it touches, making that fruit's next level
+//   shaker   kicks every fruit on the board on first contact
+//   freeze   holds every fruit in place for a few seconds on first contact
+// Clients hear about each one through 'powerUp' events: { type, phase: 'earned' | 'triggered' | 'ended', ... }
+
+// The level two touching blocks merge from, or null if they don't merge
+function getMergeLevel(b1, b2) {
+    if (b1.powerUp === 'rainbow' && !b2.powerUp) return b2.level;
+    if (b2.powerUp === 'rainbow' && !b1.powerUp) return b1.level;
+    if (b1.powerUp || b2.powerUp || b1.level !== b2.level) return null;
+    return b1.level;
+}
+
+// Fire a bomb, shaker or freeze; it and anything it clears join `consumed`
+function triggerPowerUp(board, block, consumed) {
+    const settings = board.config.powerUps.types[block.powerUp];
+    consumed.add(block.uid);
+    const others = board.gameState.blocks.filter(other => !consumed.has(other.uid));
+    const event = { type: block.powerUp, phase: 'triggered', x: block.x, y: block.y, droppedBy: block.droppedBy };
+    
+    switch (block.powerUp) {
+        case 'bomb': {
+            const hit = others.filter(other => Math.hypot(other.x - block.x, other.y - block.y) - other.radius < settings.radius);
+            hit.forEach(other => consumed.add(other.uid));
+            event.radius = settings.radius;
+            event.cleared = hit.length;
+            break;
+        }
+        case 'shaker': {
+            // Seeded by game and tick rather than board.rng: replays don't draw fruit, so
+            // board.rng is somewhere else in its sequence when they get here
+            const rng = createRng((board.seed ^ Math.imul(board.tick, 0x9E3779B1)) >>> 0);
+            others.forEach(other => {
+                const body = board.bodiesMap.get(other.uid);
+                if (body.isStatic) return; // Frozen
+                Matter.Body.setVelocity(body, {
+                    x: body.velocity.x + (rng() * 2 - 1) * settings.strength,
+                    y: body.velocity.y - rng() * settings.strength
+                });
+            });
+            break;
+        }
+        case 'freeze':
+            others.forEach(other => freezeBody(board.bodiesMap.get(other.uid)));
+            board.gameState.frozenUntilTick = board.tick + Math.round(settings.seconds * 1000 / TICK_MS);
+            event.untilTick = board.gameState.frozenUntilTick;
+            break;
+    }
+    
+    boardLog(board).debug('Power-up triggered', event);
+    board.emit('powerUp', event);
+}
+
+function freezeBody(body) {
+    Matter.Body.setVelocity(body, { x: 0, y: 0 });
+    Matter.Body.setAngularVelocity(body, 0);
+    Matter.Body.setStatic(body, true);
+}
+
+// Fruit dropped during a freeze was never frozen and simply stays dynamic
+function thawBoard(board) {
+    board.bodiesMap.forEach(body => {
+        if (body.isStatic) Matter.Body.setStatic(body, false);
+    });
+    board.gameState.frozenUntilTick = null;
+    board.emit('powerUp', { type: 'freeze', phase: 'ended' });
+}
+
+// Ownership - a dropped fruit belongs to its dropper, a merged one to every owner of
+// both parents, so a Melon built from three players' fruit credits all three
+function getOwners(block) {
+    // Blocks from snapshots taken before ownership was tracked
+    if (!block.owners) return block.droppedBy ? [block.droppedBy] : [];
+    return block.owners;
+}
+
+// Merge points are split evenly between the merged fruit's owners (counted in playerStats,
+// and in playerScores for per-player scoring); the merge itself counts for each owner and
+// the combo for whoever dropped the fruit that set it off
+function creditMerge(board, mergedBlock, points) {
+    const owners = mergedBlock.owners.filter(playerId => playerId !== GARBAGE_PLAYER_ID);
+    const share = Math.floor(points / owners.length);
+    owners.forEach((playerId, idx) => {
+        // Any remainder of the split goes to the first owner
+        const credit = idx === 0 ? points - share * (owners.length - 1) : share;
+        const stats = getPlayerStats(board, playerId);
+        stats.points += credit;
+        stats.merges[mergedBlock.level] = (stats.merges[mergedBlock.level] || 0) + 1;
+        if (board.mode.perPlayerScoring) {
+            getPlayerScore(board, playerId).score += credit;
+        }
+    });
+    
+    if (owners.includes(mergedBlock.droppedBy)) {
+        const stats = getPlayerStats(board, mergedBlock.droppedBy);
+        stats.bestCombo = Math.max(stats.bestCombo, board.comboCount);
+    }
+}
+
+function getPlayerStats(board, playerId) {
+    const { playerStats } = board.gameState;
+    if (!playerStats[playerId]) {
+        playerStats[playerId] = { name: board.getName(playerId), drops: 0, points: 0, merges: {}, bestCombo: 0, fruitsLost: 0 };
+    }
+    return playerStats[playerId];
+}
+
+// Overflow: every fruit still on the board counts as lost for each of its owners
+function countLostFruits(board) {
+    board.gameState.blocks.forEach(block => {
+        getOwners(block)
+            .filter(playerId => playerId !== GARBAGE_PLAYER_ID)
+            .forEach(playerId => getPlayerStats(board, playerId).fruitsLost++);
+    });
+}
+
+function getPlayerScore(board, playerId) {
+    const { playerScores } = board.gameState;
+    if (!playerScores[playerId]) {
+        playerScores[playerId] = { name: board.getName(playerId), score: 0 };
+    }
+    return playerScores[playerId];
+}
+
+// Advance one fixed timestep: physics, merges and combo expiry.
+// Shared by live boards and replays, so it must stay deterministic.
+function simulateTick(board) {
+    const { gameState } = board;
+    
+    if (gameState.frozenUntilTick !== null && board.tick >= gameState.frozenUntilTick) {
+        thawBoard(board);
+    }
+    
+    Matter.Engine.update(board.engine, TICK_MS);
+    board.tick++;
+    
+    gameState.blocks = gameState.blocks.map(block => {
+        const body = board.bodiesMap.get(block.uid);
+        if (body) {
+            return {
+                ...block,
+                x: body.position.x,
+                y: body.position.y,
+                vx: body.velocity.x,
+                vy: body.velocity.y,
+                rotation: body.angle,
+                angularVelocity: body.angularVelocity
+            };
+        }
+        return block;
+    });
+    
+    checkForMerges(board);
+    
+    // Reset Combo
+    if (getGameTime(board) - board.lastMergeTime > board.config.comboWindowMs && board.comboCount > 0) {
+        board.comboCount = 0;
+        gameState.combo = 0;
+    }
+}
+
+// The config's game over rules (see gameConfig.js) with the grace period in ticks.
+// Configs saved with snapshots and replays from before the rules existed get the defaults.
+function getGameOverRules(config) {
+    const rules = { ...GAME_OVER_DEFAULTS, ...config.gameOver };
+    return { ...rules, graceTicks: Math.round(rules.graceMs / TICK_MS) };
+}
+
+// Settled blocks poking above the game over line
+function getSettledDangerBlocks(board) {
+    const { settleVelocity } = getGameOverRules(board.config);
+    return board.gameState.blocks.filter(b => {
+        const body = board.bodiesMap.get(b.uid);
+        if (!body) return false;
+        
+        const isAboveLine = b.y - b.radius < board.config.board.gameOverLine;
+        const velocity = Math.sqrt(b.vx * b.vx + b.vy * b.vy);
+        // Consider settled if velocity is low OR body is sleeping
+        const isSettled = velocity < settleVelocity || body.isSleeping;
+        
+        return isAboveLine && isSettled;
+    });
+}
+
+// Check Game Over - true once settled fruit has stayed above the line for the whole
+// grace period. Call once per tick; any tick without danger starts the count over.
+// Clients follow the countdown through the board's events:
+//   dangerStart    { uids, graceMs, remainingMs, deadlineTick }   fruit has rested over the line a moment
+//   dangerTick     { uids, remainingMs, deadlineTick }   every second after that
+//   dangerCleared  { reason }   called off without a game over (see clearDanger)
+// Fruit just dropped (or at the top of a bounce) is briefly slow enough to count as
+// settled, so a countdown is only announced once it has run DANGER_ANNOUNCE_TICKS.
+function checkGameOver(board) {
+    if (board.gameState.gameOver) return false;
+    
+    const settledDangerBlocks = getSettledDangerBlocks(board);
+    if (settledDangerBlocks.length === 0) {
+        clearDanger(board, 'clear');
+        return false;
+    }
+    
+    const uids = settledDangerBlocks.map(block => block.uid);
+    const { graceMs, graceTicks } = getGameOverRules(board.config);
+    if (!board.danger) {
+        board.danger = { sinceTick: board.tick, deadlineTick: board.tick + graceTicks, uids, announced: false };
+    }
+    board.danger.uids = uids;
+    
+    const { sinceTick, deadlineTick } = board.danger;
+    const elapsed = board.tick - sinceTick;
+    if (!board.danger.announced && elapsed >= Math.min(DANGER_ANNOUNCE_TICKS, graceTicks)) {
+        board.danger.announced = true;
+        boardLog(board).info('Settled blocks above the game over line', { blocks: uids.length });
+        board.emit('dangerStart', { graceMs, ...getDangerStatus(board) });
+    } else if (board.danger.announced && elapsed % DANGER_TICK_INTERVAL === 0 && board.tick < deadlineTick) {
+        board.emit('dangerTick', getDangerStatus(board));
+    }
+    return board.tick >= deadlineTick;
+}
+
+// The announced countdown as dangerTick reports it, or null without one
+function getDangerStatus(board) {
+    if (!board.danger || !board.danger.announced) return null;
+    
+    const { uids, deadlineTick } = board.danger;
+    return { uids, remainingMs: Math.round((deadlineTick - board.tick) * TICK_MS), deadlineTick };
+}
+
+// Call off the game over countdown, if one is running; clients only hear about announced
+// ones. reason: 'clear' (no settled fruit over the line any more) or 'merge' (the last
+// chance rule).
+function clearDanger(board, reason) {
+    if (!board.danger) return;
+    const { announced } = board.danger;
+    board.danger = null;
+    if (announced) board.emit('dangerCleared', { reason });
+}
+
+// End the game on the board - reason is 'overflow' (game over line), 'timeUp' (sprint)
+// or 'admin' (ended by an operator). Recording it anywhere is up to the caller.
+function finishGame(board, reason) {
+    const { gameState } = board;
+    gameState.gameOver = true;
+    gameState.endReason = reason;
+    gameState.turn = null;
+    board.danger = null; // Clients hear about the game over instead
+    if (reason === 'overflow') {
+        countLostFruits(board);
+    }
+}
+
+// Snapshots - the board, engine bodies included, as plain JSON
+function getBoardSnapshot(board) {
+    const bodies = [];
+    board.bodiesMap.forEach((body, uid) => {
+        bodies.push([uid, body.position.x, body.position.y, body.velocity.x, body.velocity.y, body.angle, body.angularVelocity, body.isStatic]);
+    });
+    
+    return {
+        mode: board.mode,
+        config: board.config,
+        seed: board.seed,
+        rngState: board.rng.getState(),
+        tick: board.tick,
+        uidCounter: board.uidCounter,
+        comboCount: board.comboCount,
+        lastMergeTime: board.lastMergeTime,
+        gameState: board.gameState,
+        recording: board.recording,
+        bodies
+    };
+}
+
+function restoreGameState(snapshot) {
+    const gameState = structuredClone(snapshot.gameState);
+    gameState.playerStats = gameState.playerStats || {}; // Added after snapshots were introduced
+    // Nobody is connected yet; the first player back starts a new turn
+    gameState.turn = null;
+    return gameState;
+}
+
+// Rebuild fruit bodies exactly where and how fast they were moving
+function restoreBodies(board, bodies) {
+    const saved = new Map(bodies.map(entry => [entry[0], entry]));
+    
+    // Snapshots from before bodies saved their static flag had everything frozen during a freeze
+    const frozen = Boolean(board.gameState.frozenUntilTick);
+    board.gameState.blocks.forEach(block => {
+        const [, x, y, vx, vy, angle, angularVelocity, isStatic = frozen] = saved.get(block.uid) ||
+            [block.uid, block.x, block.y, block.vx, block.vy, block.rotation, block.angularVelocity];
+        
+        const body = Matter.Bodies.circle(x, y, block.radius, getFruitBodyOptions(board.config, block.level, { merged: block.merged }));
+        Matter.Body.setAngle(body, angle);
+        Matter.Body.setVelocity(body, { x: vx, y: vy });
+        Matter.Body.setAngularVelocity(body, angularVelocity);
+        // Frozen only if it was: fruit dropped during a freeze stays dynamic (see thawBoard)
+        if (isStatic) freezeBody(body);
+        addBlockBody(board, block, body);
+    });
+}
+
+// Headless game: one board with nobody attached, advanced only by step(n). Takes the
+// createBoard options, plus onEvent(event, data) to hear what the board emits.
+function createGame({ onEvent = () => {}, ...options } = {}) {
+    const board = createBoard('headless', (event, data) => onEvent(event, data), options);
+    
+    // Stops early at the end of the game; returns the number of ticks run
+    function step(n = 1) {
+        let ticks = 0;
+        while (ticks < n && !board.gameState.gameOver) {
+            simulateTick(board);
+            ticks++;
+            
+            if (board.mode.timed) {
+                if (board.tick >= board.gameState.sprintEndTick) {
+                    end('timeUp');
+                }
+            } else if (checkGameOver(board)) {
+                end('overflow');
+            }
+        }
+        return ticks;
+    }
+    
+    function end(reason) {
+        if (board.gameState.gameOver) return;
+        finishGame(board, reason);
+        onEvent('gameOver', { reason, score: board.gameState.score });
+    }
+    
+    return {
+        board,
+        get state() {
+            return board.gameState;
+        },
+        get tick() {
+            return board.tick;
+        },
+        // Drops fruit (the board's next random one unless given) where x says; null once the game is over
+        drop: (x, playerId = 'player', fruit) => (board.gameState.gameOver ? null : dropFruit(board, x, playerId, fruit)),
+        step,
+        end,
+        restart: options => restartBoard(board, options),
+        destroy: () => destroyBoard(board)
+    };
+}
+
+module.exports = {
+    TICK_MS,
+    GARBAGE_PLAYER_ID,
+    createGame,
+    createBoard,
+    createGameState,
+    resetSimulation,
+    restartBoard,
+    destroyBoard,
+    getGameTime,
+    getRadius,
+    getFruitByLevel,
+    getRandomBlock,
+    pickPowerUp,
+    getPowerUpBlock,
+    dropFruit,
+    simulateTick,
+    getGameOverRules,
+    getSettledDangerBlocks,
+    checkGameOver,
+    getDangerStatus,
+    finishGame,
+    getPlayerStats,
+    getPlayerScore,
+    getBoardSnapshot
+};
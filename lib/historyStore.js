@@ -0,0 +1,131 @@
+// Suikiii Game - File-backed game history (one JSON record per line)
+//
+// Instances sharing the file all append to it; each read first picks up lines added
+// since the last one, so leaderboards include games finished on other instances.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function clampLimit(limit) {
+    const n = parseInt(limit, 10);
+    if (!Number.isFinite(n) || n <= 0) return DEFAULT_LIMIT;
+    return Math.min(n, MAX_LIMIT);
+}
+
+function createHistoryStore(filePath) {
+    let games = [];
+    let ids = new Set(); // Ids in games, so this instance's own lines aren't read back twice
+    let readBytes = 0; // How much of the file games reflects
+    
+    // Read complete lines added to the file since the last read; malformed ones are skipped, not fatal
+    function readNewLines() {
+        let size;
+        try {
+            size = fs.statSync(filePath).size;
+        } catch (err) {
+            return; // Nothing written yet
+        }
+        if (size <= readBytes) return;
+        
+        const buffer = Buffer.alloc(size - readBytes);
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, readBytes);
+        } finally {
+            fs.closeSync(fd);
+        }
+        // A line still being appended is left for the next read
+        const end = buffer.lastIndexOf('\n') + 1;
+        readBytes += end;
+        
+        buffer.toString('utf8', 0, end)
+            .split('\n')
+            .filter(line => line.trim())
+            .forEach(line => {
+                try {
+                    const record = JSON.parse(line);
+                    if (ids.has(record.id)) return;
+                    ids.add(record.id);
+                    games.push(record);
+                } catch (err) {
+                    logger.warn('Skipping malformed history line', { file: filePath });
+                }
+            });
+    }
+    
+    // Read every record already on disk
+    function load() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        games = [];
+        ids = new Set();
+        readBytes = 0;
+        readNewLines();
+        
+        logger.info('Loaded game history', { games: games.length, file: filePath });
+        return games;
+    }
+    
+    function addGame(game) {
+        // Games may bring their own id (assigned when they started)
+        const { id = crypto.randomUUID(), ...rest } = game;
+        const record = { id, ...rest };
+        games.push(record);
+        ids.add(id);
+        
+        fs.appendFile(filePath, JSON.stringify(record) + '\n', (err) => {
+            if (err) logger.error('Failed to write game history', { error: err.message });
+        });
+        
+        return record;
+    }
+    
+    function getGame(id) {
+        readNewLines();
+        return games.find(g => g.id === id) || null;
+    }
+    
+    function matches(game, { roomId, mode }) {
+        return (!roomId || game.roomId === roomId) && (!mode || game.mode === mode);
+    }
+    
+    // Most recent first
+    function listGames({ limit, offset = 0, roomId, mode } = {}) {
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+        readNewLines();
+        return games
+            .filter(g => matches(g, { roomId, mode }))
+            .slice()
+            .reverse()
+            .slice(start, start + clampLimit(limit));
+    }
+    
+    function getLeaderboard({ limit, roomId, mode } = {}) {
+        readNewLines();
+        return games
+            .filter(g => matches(g, { roomId, mode }))
+            .slice()
+            .sort((a, b) => b.score - a.score || a.endedAt - b.endedAt)
+            .slice(0, clampLimit(limit));
+    }
+    
+    function getHighScore() {
+        readNewLines();
+        return games.reduce((best, g) => Math.max(best, g.score || 0), 0);
+    }
+    
+    return {
+        load,
+        addGame,
+        getGame,
+        listGames,
+        getLeaderboard,
+        getHighScore
+    };
+}
+
+module.exports = { createHistoryStore };
@@ -0,0 +1,39 @@
+// Suikiii Game - Structured logs: one JSON object per line
+//
+// LOG_LEVEL sets the threshold (debug, info, warn, error; default info). Per-drop and
+// per-merge events are logged at debug, so they stay quiet unless asked for.
+// child() adds fields such as roomId and gameId to every line it writes.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function createLogger(bindings = {}, level = process.env.LOG_LEVEL) {
+    const threshold = LEVELS[level] || LEVELS.info;
+    
+    function write(levelName, msg, fields) {
+        if (LEVELS[levelName] < threshold) return;
+        
+        const line = JSON.stringify({
+            time: new Date().toISOString(),
+            level: levelName,
+            msg,
+            ...bindings,
+            ...fields
+        });
+        (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    }
+    
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (fields) => createLogger({ ...bindings, ...fields }, level)
+    };
+}
+
+const logger = createLogger();
+
+module.exports = {
+    createLogger,
+    logger
+};
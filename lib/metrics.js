@@ -0,0 +1,86 @@
+// Suikiii Game - Prometheus metrics in the text exposition format, no client library needed
+//
+// Counters only go up (graph them with rate() for per-second figures), gauges are read
+// from a callback at scrape time, histograms count observations into cumulative buckets.
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function createRegistry() {
+    const metrics = [];
+    
+    function counter(name, help) {
+        const values = new Map(); // formatted labels -> count
+        metrics.push({
+            name,
+            help,
+            type: 'counter',
+            lines: () => Array.from(values, ([labels, value]) => `${name}${labels} ${value}`)
+        });
+        
+        return {
+            inc(labels, value = 1) {
+                const key = formatLabels(labels);
+                values.set(key, (values.get(key) || 0) + value);
+            }
+        };
+    }
+    
+    // collect() returns the current value
+    function gauge(name, help, collect) {
+        metrics.push({
+            name,
+            help,
+            type: 'gauge',
+            lines: () => [`${name} ${collect()}`]
+        });
+    }
+    
+    function histogram(name, help, buckets) {
+        const counts = buckets.map(() => 0);
+        let sum = 0;
+        let count = 0;
+        metrics.push({
+            name,
+            help,
+            type: 'histogram',
+            lines: () => [
+                ...buckets.map((le, idx) => `${name}_bucket{le="${le}"} ${counts[idx]}`),
+                `${name}_bucket{le="+Inf"} ${count}`,
+                `${name}_sum ${sum}`,
+                `${name}_count ${count}`
+            ]
+        });
+        
+        return {
+            observe(value) {
+                buckets.forEach((le, idx) => {
+                    if (value <= le) counts[idx]++;
+                });
+                sum += value;
+                count++;
+            }
+        };
+    }
+    
+    function render() {
+        return metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines()
+        ].join('\n')).join('\n') + '\n';
+    }
+    
+    return {
+        counter,
+        gauge,
+        histogram,
+        render
+    };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,45 @@
+// Suikiii Game - Game mode definitions and option parsing
+
+const DEFAULT_MODE = 'classic';
+
+const GAME_MODES = {
+    // Free-for-all: anyone drops any time, one shared score
+    classic: { turnBased: false, timed: false, perPlayerScoring: false },
+    // Only the player whose turn it is may drop; auto-drop when the turn timer runs out
+    turns: { turnBased: true, timed: false, perPlayerScoring: false },
+    // Ends after a fixed time instead of at the game over line
+    sprint: { turnBased: false, timed: true, perPlayerScoring: false },
+    // Merge points are credited to the players who dropped the merged fruits
+    perPlayer: { turnBased: false, timed: false, perPlayerScoring: true }
+};
+
+const TURN_SECONDS = { default: 10, min: 3, max: 60 };
+const SPRINT_MINUTES = { default: 3, min: 1, max: 30 };
+
+function clampOption(value, range) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return range.default;
+    return Math.min(range.max, Math.max(range.min, n));
+}
+
+function isValidMode(name) {
+    return Object.prototype.hasOwnProperty.call(GAME_MODES, name);
+}
+
+// Build a room's mode from client-supplied options; unknown names fall back to classic
+function parseMode(options = {}) {
+    const name = isValidMode(options.mode) ? options.mode : DEFAULT_MODE;
+    const mode = { name, ...GAME_MODES[name] };
+    
+    if (mode.turnBased) mode.turnSeconds = clampOption(options.turnSeconds, TURN_SECONDS);
+    if (mode.timed) mode.sprintMinutes = clampOption(options.sprintMinutes, SPRINT_MINUTES);
+    
+    return mode;
+}
+
+module.exports = {
+    DEFAULT_MODE,
+    GAME_MODES,
+    isValidMode,
+    parseMode
+};
@@ -0,0 +1,51 @@
+// Suikiii Game - File-backed player progression (XP, stats, achievements), keyed by player id
+//
+// Every instance knows everyone's progress (see sharedStore.js), so it follows a player
+// from one instance to the next.
+
+const { createProgress } = require('./progression');
+const { createSharedStore } = require('./sharedStore');
+
+const SAVE_DELAY_MS = 2000; // Drops and merges change progress many times a second
+const PUBLISH_DELAY_MS = 250; // Likewise for telling the other instances
+
+// Fields added since the file was written get their defaults
+function withDefaults(saved) {
+    const fresh = createProgress();
+    return { ...fresh, ...saved, stats: { ...fresh.stats, ...saved.stats } };
+}
+
+// options: { broker, instanceId, channel }
+function createProgressStore(filePath, { broker, instanceId, channel = 'suikiii:progress' }) {
+    // playerId -> progress (see createProgress)
+    const progress = createSharedStore(filePath, {
+        broker,
+        channel,
+        instanceId,
+        saveDelayMs: SAVE_DELAY_MS,
+        publishDelayMs: PUBLISH_DELAY_MS,
+        revive: withDefaults,
+        label: 'player progress'
+    });
+    
+    // Runs fn on the player's progress (created if new) and saves; returns what fn returns
+    function updateProgress(playerId, fn) {
+        let playerProgress = progress.get(playerId);
+        if (!playerProgress) {
+            playerProgress = createProgress();
+            progress.set(playerId, playerProgress);
+        }
+        const result = fn(playerProgress);
+        progress.touch(playerId);
+        return result;
+    }
+    
+    return {
+        load: progress.load,
+        flush: progress.flush,
+        getProgress: progress.get,
+        updateProgress
+    };
+}
+
+module.exports = { createProgressStore };
@@ -0,0 +1,183 @@
+// Suikiii Game - Player progression: XP, levels, achievements and the daily challenge
+//
+// The server reports game events per player (drop, merge, gameOver, daily) and
+// applyProgressEvent folds each one into that player's saved progress, returning
+// whatever was unlocked so the player can be told about it.
+
+const crypto = require('crypto');
+
+const XP = {
+    drop: 1,
+    mergePerLevel: 2, // A merge into level n is worth n * 2
+    gameOver: 25, // Finishing a game, whatever the score
+    daily: 200 // Meeting the daily challenge goal
+};
+const XP_LEVEL_STEP = 250; // Level n -> n + 1 takes n * 250 XP
+
+// on: the event that can unlock it; check(context) sees the event context plus lifetime stats
+const ACHIEVEMENTS = {
+    firstMerge: {
+        name: 'First Merge',
+        description: 'Merge two fruit',
+        xp: 20,
+        on: 'merge',
+        check: () => true
+    },
+    firstWatermelon: {
+        name: 'First Watermelon',
+        description: 'Make the biggest fruit there is',
+        xp: 500,
+        on: 'merge',
+        check: ({ merge, maxLevel }) => merge.level >= maxLevel
+    },
+    combo10: {
+        name: '10x Combo',
+        description: 'Make the 10th merge of a combo',
+        xp: 250,
+        on: 'merge',
+        check: ({ merge }) => merge.combo >= 10
+    },
+    drops100: {
+        name: 'Busy Hands',
+        description: 'Drop 100 fruit in one game',
+        xp: 150,
+        on: 'drop',
+        check: ({ gameDrops }) => gameDrops >= 100
+    },
+    regular: {
+        name: 'Regular',
+        description: 'Finish 10 games',
+        xp: 200,
+        on: 'gameOver',
+        check: ({ stats }) => stats.games >= 10
+    },
+    dailyChallenger: {
+        name: 'Daily Challenger',
+        description: 'Complete a daily challenge',
+        xp: 100,
+        on: 'daily',
+        check: () => true
+    }
+};
+
+// Daily goals, picked by the day's seed
+const DAILY_GOALS = [
+    { type: 'score', target: 3000, description: 'Score 3000 points' },
+    { type: 'score', target: 6000, description: 'Score 6000 points' },
+    { type: 'fruit', level: 7, description: 'Make a level 7 fruit' },
+    { type: 'fruit', level: 8, description: 'Make a level 8 fruit' },
+    { type: 'combo', target: 5, description: 'Reach a 5x combo' },
+    { type: 'combo', target: 7, description: 'Reach a 7x combo' }
+];
+const DAILY_HISTORY_DAYS = 30; // Completed challenges remembered per player
+
+function createProgress() {
+    return {
+        name: null,
+        xp: 0,
+        stats: { drops: 0, merges: 0, games: 0, bestCombo: 0, bestScore: 0, topFruits: 0 },
+        achievements: {}, // id -> unlockedAt
+        daily: {} // date -> completedAt
+    };
+}
+
+function getLevelInfo(xp) {
+    let level = 1;
+    let levelStart = 0;
+    while (xp >= levelStart + level * XP_LEVEL_STEP) {
+        levelStart += level * XP_LEVEL_STEP;
+        level++;
+    }
+    return { level, xp, xpIntoLevel: xp - levelStart, xpForNextLevel: level * XP_LEVEL_STEP };
+}
+
+function describeAchievement(id) {
+    const { name, description, xp } = ACHIEVEMENTS[id];
+    return { id, name, description, xp };
+}
+
+// Update stats and XP for one event, then unlock whatever it qualifies for.
+// Returns { unlocked, level, leveledUp }.
+function applyProgressEvent(progress, type, context, now = Date.now()) {
+    const levelBefore = getLevelInfo(progress.xp).level;
+    const { stats } = progress;
+    
+    switch (type) {
+        case 'drop':
+            stats.drops++;
+            progress.xp += XP.drop;
+            break;
+        case 'merge':
+            stats.merges++;
+            stats.bestCombo = Math.max(stats.bestCombo, context.merge.combo);
+            if (context.merge.level >= context.maxLevel) stats.topFruits++;
+            progress.xp += context.merge.level * XP.mergePerLevel;
+            break;
+        case 'gameOver':
+            stats.games++;
+            stats.bestScore = Math.max(stats.bestScore, context.score);
+            progress.xp += XP.gameOver;
+            break;
+        case 'daily': {
+            if (progress.daily[context.date]) break;
+            progress.daily[context.date] = now;
+            progress.xp += XP.daily;
+            const dates = Object.keys(progress.daily).sort();
+            dates.slice(0, Math.max(0, dates.length - DAILY_HISTORY_DAYS)).forEach(date => delete progress.daily[date]);
+            break;
+        }
+    }
+    
+    const unlocked = Object.keys(ACHIEVEMENTS).filter(id => {
+        const achievement = ACHIEVEMENTS[id];
+        return achievement.on === type && !progress.achievements[id] && achievement.check({ ...context, stats });
+    });
+    unlocked.forEach(id => {
+        progress.achievements[id] = now;
+        progress.xp += ACHIEVEMENTS[id].xp;
+    });
+    
+    const { level } = getLevelInfo(progress.xp);
+    return { unlocked: unlocked.map(describeAchievement), level, leveledUp: level > levelBefore };
+}
+
+// Public view of a player's progress, locked achievements included
+function describeProgress(playerId, progress) {
+    return {
+        playerId,
+        name: progress.name,
+        ...getLevelInfo(progress.xp),
+        stats: progress.stats,
+        achievements: Object.keys(ACHIEVEMENTS).map(id => ({
+            ...describeAchievement(id),
+            unlockedAt: progress.achievements[id] || null
+        })),
+        dailyChallenges: progress.daily
+    };
+}
+
+// Today's challenge (UTC day): everyone gets the same seed, so the same fruit sequence, and goal
+function getDailyChallenge(date = new Date()) {
+    const day = date.toISOString().slice(0, 10);
+    const seed = crypto.createHash('sha256').update(`suikiii-daily-${day}`).digest().readUInt32BE(0);
+    return { date: day, seed, goal: DAILY_GOALS[seed % DAILY_GOALS.length] };
+}
+
+function isDailyGoalMet(goal, gameState) {
+    switch (goal.type) {
+        case 'score': return gameState.score >= goal.target;
+        case 'fruit': return gameState.highestLevel >= goal.level;
+        case 'combo': return gameState.maxCombo >= goal.target;
+        default: return false;
+    }
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    createProgress,
+    getLevelInfo,
+    applyProgressEvent,
+    describeProgress,
+    getDailyChallenge,
+    isDailyGoalMet
+};
@@ -0,0 +1,53 @@
+// Suikiii Game - File-backed replay recordings (one JSON file per game)
+//
+// Writes go through a temp file plus rename, like snapshotStore.js, so a replay is either
+// all there or not there yet.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const GAME_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+function createReplayStore(dirPath) {
+    function fileFor(gameId) {
+        if (typeof gameId !== 'string' || !GAME_ID_PATTERN.test(gameId)) return null;
+        return path.join(dirPath, `${gameId}.json`);
+    }
+    
+    function saveReplay(gameId, recording) {
+        const file = fileFor(gameId);
+        if (!file) throw new Error(`Invalid game id: ${gameId}`);
+        
+        fs.mkdirSync(dirPath, { recursive: true });
+        fs.writeFile(`${file}.tmp`, JSON.stringify(recording), (err) => {
+            if (err) {
+                logger.error('Failed to write replay', { gameId, error: err.message });
+                return;
+            }
+            fs.rename(`${file}.tmp`, file, (renameErr) => {
+                if (renameErr) logger.error('Failed to write replay', { gameId, error: renameErr.message });
+            });
+        });
+    }
+    
+    // The recording, or null if there is none; an unreadable one is reported and treated as missing
+    function getReplay(gameId) {
+        const file = fileFor(gameId);
+        if (!file || !fs.existsSync(file)) return null;
+        
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            logger.error('Skipping unreadable replay', { gameId, error: err.message });
+            return null;
+        }
+    }
+    
+    return {
+        saveReplay,
+        getReplay
+    };
+}
+
+module.exports = { createReplayStore };
@@ -0,0 +1,68 @@
+// Suikiii Game - Replay verification: re-run a recorded input log through a fresh engine
+// at the fixed timestep and report what came out of it
+//
+// A long game is a lot of ticks, so verifyReplay runs them on a worker thread
+// (replayWorker.js) and the rooms' loops keep their pace meanwhile.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const {
+    createBoard,
+    destroyBoard,
+    dropFruit,
+    simulateTick,
+    getFruitByLevel,
+    getPowerUpBlock
+} = require('./gameEngine');
+
+const WORKER_FILE = path.join(__dirname, 'replayWorker.js');
+
+// Runs on the calling thread. defaultConfig stands in for the config version 1 replays lack.
+function replayRecording(recording, defaultConfig) {
+    const board = createBoard(`replay-${recording.gameId}`, () => {}, {
+        seed: recording.seed,
+        gameId: recording.gameId,
+        mode: recording.mode,
+        config: recording.config || defaultConfig
+    });
+    const { drops } = recording;
+    let dropIndex = 0;
+    
+    while (board.tick < recording.endTick) {
+        while (dropIndex < drops.length && drops[dropIndex].tick <= board.tick) {
+            const drop = drops[dropIndex++];
+            const fruit = drop.powerUp ? getPowerUpBlock(board.config, drop.powerUp) : getFruitByLevel(board.config, drop.level);
+            dropFruit(board, drop.x, drop.playerId, fruit);
+        }
+        simulateTick(board);
+    }
+    
+    destroyBoard(board);
+    
+    return {
+        score: board.gameState.score,
+        maxCombo: board.gameState.maxCombo,
+        totalBlocks: board.gameState.totalBlocks,
+        playerScores: board.gameState.playerScores,
+        merges: board.recording.merges
+    };
+}
+
+// replayRecording's result, worked out on a worker thread of its own. The worker doesn't
+// hold the process open, so a shutdown never waits on a verification.
+function verifyReplay(recording, defaultConfig) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_FILE, { workerData: { recording, defaultConfig } });
+        worker.unref();
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) reject(new Error(`Replay worker exited with code ${code}`));
+        });
+    });
+}
+
+module.exports = {
+    replayRecording,
+    verifyReplay
+};
@@ -0,0 +1,6 @@
+// Suikiii Game - Worker thread entry for verifyReplay (see replayVerifier.js)
+
+const { parentPort, workerData } = require('worker_threads');
+const { replayRecording } = require('./replayVerifier');
+
+parentPort.postMessage(replayRecording(workerData.recording, workerData.defaultConfig));
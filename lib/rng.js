@@ -0,0 +1,24 @@
+// Suikiii Game - Seeded PRNG (mulberry32) so a game's fruit sequence can be reproduced
+
+const crypto = require('crypto');
+
+function createSeed() {
+    return crypto.randomInt(0x100000000);
+}
+
+// Returns a function yielding floats in [0, 1), like Math.random.
+// random.getState() is a seed that createRng() resumes the same sequence from.
+function createRng(seed) {
+    let state = seed >>> 0;
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    random.getState = () => state;
+    return random;
+}
+
+module.exports = { createSeed, createRng };
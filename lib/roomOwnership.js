@@ -0,0 +1,86 @@
+// Suikiii Game - Which instance runs which room, agreed through the broker (see broker.js)
+//
+// An instance owns a room while it holds the room's lease: a broker key naming the instance,
+// with a ttl of leaseMs that it renews every third of that. If the instance dies the lease
+// runs out and the next instance to claim the room takes it over. Each instance also
+// advertises the URL players should be sent to for its rooms.
+
+const { logger } = require('./logger');
+
+function createRoomOwnership(broker, { instanceId, url, leaseMs, prefix = 'suikiii' }) {
+    const owned = new Set(); // Room ids this instance holds the lease for
+    const advertisement = JSON.stringify({ url });
+    let timer = null;
+    
+    const leaseKey = roomId => `${prefix}:room:${roomId}`;
+    const instanceKey = id => `${prefix}:instance:${id}`;
+    
+    // True if this instance now owns roomId (or already did)
+    async function claim(roomId) {
+        if (owned.has(roomId)) return true;
+        
+        const key = leaseKey(roomId);
+        // The lease may still be ours from before a restart under the same instance id
+        const claimed = await broker.setIfAbsent(key, instanceId, leaseMs) ||
+            await broker.renewIfEqual(key, instanceId, leaseMs);
+        if (claimed) {
+            owned.add(roomId);
+        }
+        return claimed;
+    }
+    
+    // { instanceId, url } of the room's owner, or null while nobody holds its lease
+    async function getOwner(roomId) {
+        const ownerId = await broker.get(leaseKey(roomId));
+        if (!ownerId) return null;
+        
+        const info = await broker.get(instanceKey(ownerId));
+        return { instanceId: ownerId, url: info ? JSON.parse(info).url : null };
+    }
+    
+    async function release(roomId) {
+        if (!owned.delete(roomId)) return;
+        await broker.deleteIfEqual(leaseKey(roomId), instanceId);
+    }
+    
+    // Renew the advertisement and every lease. A lease that lapsed is taken back if it is
+    // still free; onLost(roomId) hears about each one another instance got first.
+    async function renew(onLost) {
+        await broker.set(instanceKey(instanceId), advertisement, leaseMs);
+        for (const roomId of Array.from(owned)) {
+            const key = leaseKey(roomId);
+            if (await broker.renewIfEqual(key, instanceId, leaseMs)) continue;
+            if (await broker.setIfAbsent(key, instanceId, leaseMs)) continue;
+            
+            owned.delete(roomId);
+            onLost(roomId);
+        }
+    }
+    
+    function start(onLost) {
+        const beat = () => renew(onLost).catch((err) => {
+            // Leases are kept meanwhile; they last leaseMs from the last renewal that worked
+            logger.error('Failed to renew room leases', { instanceId, rooms: owned.size, error: err.message });
+        });
+        beat();
+        timer = setInterval(beat, leaseMs / 3);
+    }
+    
+    // Give up every lease (shutdown), so other instances can take the rooms right away
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        await Promise.all(Array.from(owned, release));
+        await broker.deleteIfEqual(instanceKey(instanceId), advertisement);
+    }
+    
+    return {
+        claim,
+        getOwner,
+        release,
+        start,
+        stop
+    };
+}
+
+module.exports = { createRoomOwnership };
@@ -0,0 +1,74 @@
+// Suikiii Game - File-backed player identities behind opaque session tokens
+//
+// Clients keep the token and present it on reconnect; only its SHA-256 hash is
+// stored, so the file on disk cannot be used to impersonate anyone.
+//
+// Every instance knows every session (see sharedStore.js), so a player can reconnect
+// through any of them.
+
+const crypto = require('crypto');
+const { createSharedStore } = require('./sharedStore');
+
+const SAVE_DELAY_MS = 1000; // Coalesce bursts of changes into one write
+const SESSION_MAX_IDLE_MS = 90 * 24 * 60 * 60 * 1000; // Forget identities unseen for 90 days
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// options: { broker, instanceId, channel }
+function createSessionStore(filePath, { broker, instanceId, channel = 'suikiii:sessions' }) {
+    // token hash -> { playerId, name, createdAt, lastSeenAt }
+    const sessions = createSharedStore(filePath, {
+        broker,
+        channel,
+        instanceId,
+        saveDelayMs: SAVE_DELAY_MS,
+        keep: session => Date.now() - session.lastSeenAt < SESSION_MAX_IDLE_MS,
+        label: 'player sessions'
+    });
+    
+    // New identity; the token is only ever returned here
+    function createSession(name) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const now = Date.now();
+        const session = {
+            playerId: `p.${crypto.randomBytes(8).toString('hex')}`,
+            name,
+            createdAt: now,
+            lastSeenAt: now
+        };
+        sessions.set(hashToken(token), session);
+        return { token, session };
+    }
+    
+    function resolveSession(token) {
+        if (typeof token !== 'string' || !token) return null;
+        const hash = hashToken(token);
+        const session = sessions.get(hash);
+        if (!session) return null;
+        
+        session.lastSeenAt = Date.now();
+        sessions.touch(hash);
+        return session;
+    }
+    
+    function setName(playerId, name) {
+        sessions.forEach((session, hash) => {
+            if (session.playerId === playerId && session.name !== name) {
+                session.name = name;
+                sessions.touch(hash);
+            }
+        });
+    }
+    
+    return {
+        load: sessions.load,
+        createSession,
+        resolveSession,
+        setName,
+        flush: sessions.flush
+    };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,209 @@
+// Suikiii Game - A map saved to a JSON file that every instance shares, kept in step through the broker
+//
+// Each instance holds the whole map. Changes made here are published on the broker (right
+// away, or batched every publishDelayMs) and applied by the other instances, so lookups
+// never touch the disk. Saves are coalesced: the file as it is now, with everything this
+// instance knows laid over it, goes to a temp file that is renamed into place, so nobody
+// ever reads half a file. A file that can't be parsed is never written over: load() fails,
+// and a save tries again later.
+//
+// Entries carry the time they last changed; a published change only replaces an entry that
+// changed before it, so a late batch from another instance can't undo a newer change.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// options:
+//   broker, channel   where changes are published (see broker.js)
+//   instanceId        tells this instance's messages apart; also names its temp file
+//   saveDelayMs       changes within this long go into one write
+//   publishDelayMs    changes within this long go into one message; 0 publishes each one
+//   revive(value)     an entry as read from the file or a message, e.g. with defaults filled in
+//   keep(value)       false for entries to forget (and leave out of the file)
+//   label             names the store in logs
+function createSharedStore(filePath, {
+    broker,
+    channel,
+    instanceId,
+    saveDelayMs,
+    publishDelayMs = 0,
+    revive = value => value,
+    keep = () => true,
+    label
+}) {
+    const entries = new Map(); // key -> value
+    const changedAt = new Map(); // key -> when it last changed, as far as this instance knows
+    const unpublished = new Set(); // Keys changed here since the last message
+    const tempFile = `${filePath}.${instanceId}.tmp`;
+    let dirty = false; // Changed here since the last save
+    let saveTimer = null;
+    let publishTimer = null;
+    let saving = null; // The save in progress
+    
+    // File contents as a Map of live entries; throws if they don't parse
+    function parseEntries(text) {
+        const saved = new Map();
+        Object.entries(JSON.parse(text)).forEach(([key, value]) => {
+            const entry = revive(value);
+            if (keep(entry)) saved.set(key, entry);
+        });
+        return saved;
+    }
+    
+    async function readFile() {
+        try {
+            return parseEntries(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return new Map();
+            throw err;
+        }
+    }
+    
+    // What to write over `saved`, the file as read just now. Entries only on disk were saved
+    // by another instance before this one heard about them; they're taken in too.
+    function mergeInto(saved) {
+        saved.forEach((value, key) => {
+            if (!entries.has(key)) entries.set(key, value);
+        });
+        entries.forEach((value, key) => {
+            if (keep(value)) return;
+            entries.delete(key);
+            changedAt.delete(key);
+        });
+        return JSON.stringify(Object.fromEntries(entries));
+    }
+    
+    async function writeFile(saved) {
+        await fs.promises.writeFile(tempFile, mergeInto(saved));
+        await fs.promises.rename(tempFile, filePath);
+    }
+    
+    function onMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (err) {
+            logger.error(`Skipping malformed ${label} message`, { error: err.message });
+            return;
+        }
+        if (message.from === instanceId) return;
+        
+        message.changes.forEach(([key, value, at]) => {
+            if ((changedAt.get(key) || 0) > at) return;
+            entries.set(key, revive(value));
+            changedAt.set(key, at);
+        });
+    }
+    
+    // Subscribes before reading, so nothing published meanwhile is missed. Rejects if the
+    // file exists but can't be read, rather than start empty and later save over it.
+    async function load() {
+        await broker.subscribe(channel, onMessage);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        
+        let saved;
+        try {
+            saved = await readFile();
+        } catch (err) {
+            throw new Error(`Failed to read ${label} from ${filePath}: ${err.message}`);
+        }
+        saved.forEach((value, key) => {
+            if (!entries.has(key)) entries.set(key, value);
+        });
+        logger.info(`Loaded ${label}`, { entries: entries.size });
+    }
+    
+    function publishChanges() {
+        const changes = Array.from(unpublished, key => [key, entries.get(key), changedAt.get(key)]);
+        unpublished.clear();
+        broker.publish(channel, JSON.stringify({ from: instanceId, changes })).catch((err) => {
+            logger.error(`Failed to publish ${label}`, { entries: changes.length, error: err.message });
+        });
+    }
+    
+    function schedulePublish() {
+        if (publishDelayMs === 0) {
+            publishChanges();
+            return;
+        }
+        if (publishTimer) return;
+        publishTimer = setTimeout(() => {
+            publishTimer = null;
+            publishChanges();
+        }, publishDelayMs);
+    }
+    
+    function save() {
+        if (saving) return saving;
+        
+        dirty = false;
+        saving = readFile()
+            .then(writeFile)
+            .catch((err) => {
+                dirty = true;
+                logger.error(`Failed to save ${label}, will try again`, { error: err.message });
+            })
+            .finally(() => {
+                saving = null;
+                if (dirty) scheduleSave();
+            });
+        return saving;
+    }
+    
+    function scheduleSave() {
+        dirty = true;
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            save();
+        }, saveDelayMs);
+    }
+    
+    // Publish and save whatever is pending now (shutdown)
+    async function flush() {
+        clearTimeout(publishTimer);
+        publishTimer = null;
+        if (unpublished.size > 0) publishChanges();
+        
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (saving) await saving;
+        if (dirty) await save();
+        // A save that failed is not retried after this
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    
+    function get(key) {
+        return entries.has(key) ? entries.get(key) : null;
+    }
+    
+    // The entry under key changed: set anew, or its value changed in place
+    function touch(key) {
+        changedAt.set(key, Date.now());
+        unpublished.add(key);
+        schedulePublish();
+        scheduleSave();
+    }
+    
+    function set(key, value) {
+        entries.set(key, value);
+        touch(key);
+    }
+    
+    function forEach(fn) {
+        entries.forEach(fn);
+    }
+    
+    return {
+        load,
+        flush,
+        get,
+        set,
+        touch,
+        forEach
+    };
+}
+
+module.exports = { createSharedStore };
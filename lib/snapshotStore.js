@@ -0,0 +1,68 @@
+// Suikiii Game - On-disk room snapshots (one JSON file per room), restored after a restart
+//
+// Writes are synchronous and go through a temp file plus rename, so a crash mid-write
+// leaves the previous snapshot intact and the final shutdown save can't be overtaken.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function createSnapshotStore(dirPath) {
+    function fileFor(roomId) {
+        if (typeof roomId !== 'string' || !ROOM_ID_PATTERN.test(roomId)) return null;
+        return path.join(dirPath, `${roomId}.json`);
+    }
+    
+    function saveSnapshot(roomId, snapshot) {
+        const file = fileFor(roomId);
+        if (!file) return;
+        
+        try {
+            fs.mkdirSync(dirPath, { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            logger.error('Failed to write snapshot', { roomId, error: err.message });
+        }
+    }
+    
+    function removeSnapshot(roomId) {
+        const file = fileFor(roomId);
+        if (!file) return;
+        fs.rm(file, { force: true }, (err) => {
+            if (err) logger.error('Failed to remove snapshot', { roomId, error: err.message });
+        });
+    }
+    
+    // One room's snapshot, or null if it has none; an unreadable one is reported and skipped
+    function loadSnapshot(roomId) {
+        const file = fileFor(roomId);
+        if (!file || !fs.existsSync(file)) return null;
+        
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            logger.error('Skipping unreadable snapshot', { roomId, error: err.message });
+            return null;
+        }
+    }
+    
+    // Rooms with a snapshot, without reading them
+    function listSnapshotIds() {
+        if (!fs.existsSync(dirPath)) return [];
+        return fs.readdirSync(dirPath)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    }
+    
+    return {
+        saveSnapshot,
+        removeSnapshot,
+        loadSnapshot,
+        listSnapshotIds
+    };
+}
+
+module.exports = { createSnapshotStore };
@@ -0,0 +1,150 @@
+// Suikiii Game - Delta-compressed state sync protocol
+//
+// Clients get one keyframe ('gameState') carrying every block with its static
+// metadata, then per-broadcast deltas ('gameStateDelta') carrying only what
+// changed since the previous sequence number. A client that sees a delta whose
+// baseSeq is not its current seq has missed one and emits 'requestResync'.
+
+const SYNC_PROTOCOL_VERSION = 1;
+
+// Fields of the shared game state that are diffed alongside the blocks
+const META_FIELDS = [
+    'score', 'highScore', 'gameOver', 'totalBlocks', 'maxCombo', 'combo', 'contributors',
+    'mode', 'turn', 'sprintEndTick', 'playerScores', 'playerStats', 'endReason', 'paused',
+    'frozenUntilTick', 'dailyChallenge'
+];
+
+function round(value, precision) {
+    return Math.round((value || 0) * precision) / precision;
+}
+
+function createSyncState(gameState) {
+    return {
+        seq: 0,
+        blocks: new Map(gameState.blocks.map(b => [b.uid, toSyncBlock(b)])), // uid -> block as last sent
+        meta: pickMeta(gameState)
+    };
+}
+
+// Static metadata plus quantized dynamics, as the client sees a block
+function toSyncBlock(block) {
+    return {
+        uid: block.uid,
+        level: block.level,
+        name: block.name,
+        image: block.image,
+        color: block.color,
+        powerUp: block.powerUp,
+        owners: block.owners,
+        radius: block.radius,
+        x: round(block.x, 10),
+        y: round(block.y, 10),
+        vx: round(block.vx, 100),
+        vy: round(block.vy, 100),
+        rotation: round(block.rotation, 100),
+        av: round(block.angularVelocity, 100)
+    };
+}
+
+// Compact per-tick update: [uid, x, y, vx, vy, rotation, av]
+function toUpdateTuple(b) {
+    return [b.uid, b.x, b.y, b.vx, b.vy, b.rotation, b.av];
+}
+
+function dynamicsChanged(prev, next) {
+    return prev.x !== next.x || prev.y !== next.y ||
+        prev.vx !== next.vx || prev.vy !== next.vy ||
+        prev.rotation !== next.rotation || prev.av !== next.av;
+}
+
+function pickMeta(gameState) {
+    const meta = {};
+    META_FIELDS.forEach(field => {
+        const value = gameState[field];
+        // Objects are mutated in place by the game loop, so keep a copy
+        meta[field] = typeof value === 'object' && value !== null ? structuredClone(value) : value;
+    });
+    return meta;
+}
+
+function metaValueChanged(prev, next) {
+    if (typeof next === 'object' && next !== null) {
+        return JSON.stringify(prev) !== JSON.stringify(next);
+    }
+    return prev !== next;
+}
+
+// Keyframe of what clients were last sent, so the next delta applies on top of it
+function getKeyframe(sync) {
+    return {
+        version: SYNC_PROTOCOL_VERSION,
+        seq: sync.seq,
+        blocks: Array.from(sync.blocks.values()),
+        ...sync.meta
+    };
+}
+
+// Replace the last-sent state with the current one (e.g. after a restart)
+function takeKeyframe(sync, gameState) {
+    sync.seq++;
+    sync.blocks = new Map(gameState.blocks.map(b => [b.uid, toSyncBlock(b)]));
+    sync.meta = pickMeta(gameState);
+    return getKeyframe(sync);
+}
+
+// Diff the current state against the last sent one.
+// Returns null when nothing changed, so the broadcast can be skipped.
+function takeDelta(sync, gameState) {
+    const added = [];
+    const updated = [];
+    const removed = [];
+    const nextBlocks = new Map();
+    
+    gameState.blocks.forEach(block => {
+        const next = toSyncBlock(block);
+        const prev = sync.blocks.get(block.uid);
+        nextBlocks.set(block.uid, next);
+        
+        if (!prev) {
+            added.push(next);
+        } else if (dynamicsChanged(prev, next)) {
+            updated.push(toUpdateTuple(next));
+        }
+    });
+    
+    sync.blocks.forEach((_, uid) => {
+        if (!nextBlocks.has(uid)) removed.push(uid);
+    });
+    
+    const nextMeta = pickMeta(gameState);
+    const state = {};
+    META_FIELDS.forEach(field => {
+        if (metaValueChanged(sync.meta[field], nextMeta[field])) {
+            state[field] = nextMeta[field];
+        }
+    });
+    
+    if (!added.length && !updated.length && !removed.length && !Object.keys(state).length) {
+        return null;
+    }
+    
+    const baseSeq = sync.seq;
+    sync.seq++;
+    sync.blocks = nextBlocks;
+    sync.meta = nextMeta;
+    
+    const delta = { seq: sync.seq, baseSeq };
+    if (added.length) delta.added = added;
+    if (updated.length) delta.updated = updated;
+    if (removed.length) delta.removed = removed;
+    if (Object.keys(state).length) delta.state = state;
+    return delta;
+}
+
+module.exports = {
+    SYNC_PROTOCOL_VERSION,
+    createSyncState,
+    getKeyframe,
+    takeKeyframe,
+    takeDelta
+};
@@ -0,0 +1,83 @@
+// Suikiii Game - Socket event payload validation
+//
+// A schema maps field names to rules:
+//   { type: 'number' | 'integer' | 'string' | 'boolean', required, min, max, maxLength, oneOf }
+// Unknown fields are dropped so handlers only ever see what the schema names.
+
+function checkField(name, rule, value) {
+    switch (rule.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return `${name} must be a finite number`;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return `${name} must be an integer`;
+            }
+            if (rule.min !== undefined && value < rule.min) return `${name} must be at least ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `${name} must be at most ${rule.max}`;
+            break;
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `${name} must be at most ${rule.maxLength} characters`;
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${name} must be a boolean`;
+            break;
+        default:
+            return `${name} has an unsupported rule type`;
+    }
+    
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return `${name} must be one of: ${rule.oneOf.join(', ')}`;
+    }
+    return null;
+}
+
+// Returns { value } with only the schema's fields, or { error } describing the first problem
+function validatePayload(schema, data) {
+    const fields = Object.keys(schema);
+    
+    if (data === undefined || data === null) {
+        data = {};
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        return { error: 'Payload must be an object' };
+    }
+    
+    const value = {};
+    for (const name of fields) {
+        const rule = schema[name];
+        const fieldValue = data[name];
+        
+        if (fieldValue === undefined || fieldValue === null) {
+            if (rule.required) return { error: `${name} is required` };
+            continue;
+        }
+        
+        const error = checkField(name, rule, fieldValue);
+        if (error) return { error };
+        value[name] = fieldValue;
+    }
+    
+    return { value };
+}
+
+// Display names: no control characters or markup, collapsed whitespace, bounded length
+function sanitizeName(name, maxLength, fallback) {
+    if (typeof name !== 'string') return fallback;
+    const cleaned = name
+        .replace(/[\u0000-\u001F\u007F<>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength)
+        .trim();
+    return cleaned || fallback;
+}
+
+module.exports = {
+    validatePayload,
+    sanitizeName
+};
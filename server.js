@@ -4,613 +4,2625 @@
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
-const Matter = require('matter-js');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { createHistoryStore } = require('./lib/historyStore');
+const { createReplayStore } = require('./lib/replayStore');
+const { verifyReplay } = require('./lib/replayVerifier');
+const { createSeed, createRng } = require('./lib/rng');
+const {
+    TICK_MS,
+    GARBAGE_PLAYER_ID,
+    createBoard,
+    restartBoard,
+    destroyBoard,
+    getRadius,
+    getFruitByLevel,
+    getRandomBlock,
+    pickPowerUp,
+    getPowerUpBlock,
+    dropFruit,
+    simulateTick,
+    checkGameOver,
+    getDangerStatus,
+    finishGame,
+    getPlayerStats,
+    getPlayerScore,
+    getBoardSnapshot
+} = require('./lib/gameEngine');
+const { createSyncState, getKeyframe, takeKeyframe, takeDelta } = require('./lib/sync');
+const { GAME_MODES, parseMode } = require('./lib/modes');
+const { validatePayload, sanitizeName } = require('./lib/validation');
+const { createSessionStore } = require('./lib/sessionStore');
+const { loadGameConfigs } = require('./lib/gameConfig');
+const { createSnapshotStore } = require('./lib/snapshotStore');
+const { createProgressStore } = require('./lib/progressStore');
+const { createBroker } = require('./lib/broker');
+const { createBrokerAdapter } = require('./lib/clusterAdapter');
+const { createRoomOwnership } = require('./lib/roomOwnership');
+const { EMOTES, loadWordFilter } = require('./lib/chat');
+const { BOT_STRATEGIES, BOT_DIFFICULTIES, chooseDropX, getLookaheadCandidates, pickLookaheadX } = require('./lib/bots');
+const { applyProgressEvent, describeProgress, getDailyChallenge, isDailyGoalMet } = require('./lib/progression');
+const { logger } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+
+// Origins allowed to open sockets: a comma-separated list, or '*' (the default) for any
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
     cors: {
-        origin: "*",
+        origin: CORS_ORIGIN === '*' ? '*' : CORS_ORIGIN.split(',').map(origin => origin.trim()),
         methods: ["GET", "POST"]
     }
 });
 
 const PORT = process.env.PORT || 3000;
 
+// Numeric setting from the environment, falling back when unset or invalid
+function envNumber(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const n = Number(raw);
+    return Number.isFinite(n) ? n : fallback;
+}
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Finished games, persisted across restarts
+const historyStore = createHistoryStore(path.join(DATA_DIR, 'history.jsonl'));
+const replayStore = createReplayStore(path.join(DATA_DIR, 'replays'));
+// Live room state, so a restart picks games up where they stopped
+const snapshotStore = createSnapshotStore(path.join(DATA_DIR, 'snapshots'));
+const SNAPSHOT_INTERVAL_MS = envNumber('SNAPSHOT_INTERVAL_MS', 5000);
+const SNAPSHOT_VERSION = 1;
+
+// Cluster - instances sharing a broker (CLUSTER_BROKER, e.g. redis://localhost:6379) and
+// DATA_DIR split the rooms between them; without one this process is the only instance
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomBytes(4).toString('hex');
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://${os.hostname()}:${PORT}`; // Where players are sent for this instance's rooms
+const ROOM_LEASE_MS = envNumber('ROOM_LEASE_MS', 10000); // Also how long a dead instance's rooms wait for a new owner
+const broker = createBroker(process.env.CLUSTER_BROKER);
+const ownership = createRoomOwnership(broker, { instanceId: INSTANCE_ID, url: PUBLIC_URL, leaseMs: ROOM_LEASE_MS });
+
+// Player identities behind session tokens
+const sessionStore = createSessionStore(path.join(DATA_DIR, 'sessions.json'), { broker, instanceId: INSTANCE_ID });
+// XP, stats and achievements per player id
+const progressStore = createProgressStore(path.join(DATA_DIR, 'progress.json'), { broker, instanceId: INSTANCE_ID });
+
+// Metrics - served in Prometheus format from GET /metrics
+const metrics = createRegistry();
+const dropsCounter = metrics.counter('suikiii_drops_total', 'Fruit dropped by players; rate() gives drops per second');
+const mergesCounter = metrics.counter('suikiii_merges_total', 'Fruit merges on live boards; rate() gives merges per second');
+const gamesCounter = metrics.counter('suikiii_games_played_total', 'Finished games by mode');
+const tickDuration = metrics.histogram('suikiii_physics_tick_duration_seconds',
+    'Time to advance every room and versus board by one tick',
+    [0.0005, 0.001, 0.002, 0.004, 0.008, 0.016, 0.032, 0.064]);
+const broadcastBytes = metrics.histogram('suikiii_broadcast_payload_bytes',
+    'Serialized size of each state delta broadcast',
+    [64, 256, 1024, 4096, 16384, 65536]);
+metrics.gauge('suikiii_connected_players', 'Players connected to a room, spectators excluded',
+    () => Array.from(rooms.values()).reduce((sum, room) => sum + getConnectedPlayerIds(room).length, 0));
+metrics.gauge('suikiii_spectators', 'Spectator sockets and SSE feeds watching a room',
+    () => Array.from(rooms.values()).reduce((sum, room) => sum + getSpectatorCount(room), 0));
+metrics.gauge('suikiii_blocks_on_board', 'Fruit on every room and versus board',
+    () => Array.from(rooms.values()).reduce((sum, room) => sum + room.gameState.blocks.length, 0) +
+        Array.from(matches.values()).reduce((sum, match) => sum + Array.from(match.players.values())
+            .reduce((boardSum, player) => boardSum + player.board.gameState.blocks.length, 0), 0));
+
+// Game Configuration - board, fruit set and physics preset, chosen per game (see config/)
+const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, 'config');
+const gameConfigs = loadGameConfigs(CONFIG_DIR);
+const DEFAULT_GAME_CONFIG = process.env.GAME_CONFIG || 'classic';
+if (!gameConfigs.has(DEFAULT_GAME_CONFIG)) {
+    throw new Error(`Game config "${DEFAULT_GAME_CONFIG}" not found in ${CONFIG_DIR}`);
+}
+
 // Game Constants
-const BOARD_WIDTH = 800;
-const BOARD_HEIGHT = 1000;
-const GAME_OVER_LINE = 100;
-const GRAVITY = 0.28;
-const BORDER_WIDTH = 4;
-const MAX_LEVEL = 10;
-const COMBO_WINDOW = 2000;
-
-// Fruit Configuration (must match client)
-const FRUITS = [
-    { name: 'Grape', level: 1, color: '#9333ea', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-jiyu-circle-grape.png', baseSize: 26, sizeIncrement: 14.3, collisionScale: 1.0 },
-    { name: 'Strawberry', level: 2, color: '#FF1493', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-leesol-circledown.png', baseSize: 26, sizeIncrement: 14.3, collisionScale: 1.0 },
-    { name: 'Lemon', level: 3, color: '#FFF44F', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-sui-circleup-lemon.png', baseSize: 26, sizeIncrement: 14.3, collisionScale: 0.95 },
-    { name: 'Orange', level: 4, color: '#FF8C00', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-haum-circle-orangemediu.png', baseSize: 23.4, sizeIncrement: 14.3, collisionScale: 1.0 },
-    { name: 'Apple', level: 5, color: '#FF4444', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-jiyu-circlemedi.png', baseSize: 26, sizeIncrement: 14.3, collisionScale: 0.85 },
-    { name: 'Peach', level: 6, color: '#FFB6C1', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-kya-circleup.png', baseSize: 26, sizeIncrement: 14.3, collisionScale: 0.80 },
-    { name: 'Coconut', level: 7, color: '#8B4513', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-kya-circle-coconut.png', baseSize: 26, sizeIncrement: 14.3, collisionScale: 1.0 },
-    { name: 'Melon', level: 8, color: '#90EE90', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-leesol-circle-melonbig.png', baseSize: 33.8, sizeIncrement: 14.3, collisionScale: 0.95 },
-    { name: 'Pineapple', level: 9, color: '#FFD700', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-haum-circle.png', baseSize: 26, sizeIncrement: 14.3, collisionScale: 1.0 },
-    { name: 'Watermelon', level: 10, color: '#32CD32', image: 'https://tiiikiii.com/wp-content/themes/kiiikiii-theme/assets/images/suikiii-sui-circle.png', baseSize: 26, sizeIncrement: 14.3, collisionScale: 1.0 }
-];
-
-// Game State
-let gameState = {
-    blocks: [],
-    score: 0,
-    highScore: 0,
-    gameOver: false,
-    totalBlocks: 0,
-    maxCombo: 0,
-    combo: 0,
-    lastMergeTime: 0,
-    nextFruit: null,
-    contributors: {}
-};
+const MAX_CATCH_UP_TICKS = envNumber('MAX_CATCH_UP_TICKS', 10); // Ticks run per loop pass when behind; older backlog is dropped
+const REPLAY_VERSION = 3; // 2: game config stored with the replay, 3: collision-driven merges
+
+// Input Limits (each overridable through the environment; 0 disables a cooldown)
+const DROP_COOLDOWN_MS = envNumber('DROP_COOLDOWN_MS', 250); // Per socket
+const IP_DROP_COOLDOWN_MS = envNumber('IP_DROP_COOLDOWN_MS', 50); // Per client IP, shared by its sockets
+const SPAWN_ZONE_HEIGHT = envNumber('SPAWN_ZONE_HEIGHT', 150); // Previous fruit must fall below this line...
+const SPAWN_ZONE_MAX_WAIT_MS = envNumber('SPAWN_ZONE_MAX_WAIT_MS', 2000); // ...unless it has been stuck this long
+const MAX_PLAYER_NAME_LENGTH = envNumber('MAX_PLAYER_NAME_LENGTH', 20);
+const MAX_RAW_NAME_LENGTH = 200; // Longer names are rejected outright instead of truncated
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true'; // Take the client IP from X-Forwarded-For
+const RESTART_VOTE_WINDOW_MS = envNumber('RESTART_VOTE_WINDOW_MS', 30000); // Time a restart vote stays open
+const SESSION_GRACE_MS = envNumber('SESSION_GRACE_MS', 60000); // Reconnect window that keeps queue and role
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''; // Bearer token for /admin; unset disables the admin API
+const FEED_HEARTBEAT_MS = 15000; // Keeps idle SSE feeds from being closed by proxies
+
+// Chat - per socket limits, a room history for late joiners and a word filter (see lib/chat.js)
+const CHAT_MESSAGE_LIMIT = envNumber('CHAT_MESSAGE_LIMIT', 5); // Messages per socket...
+const CHAT_WINDOW_MS = envNumber('CHAT_WINDOW_MS', 10000); // ...within this window
+const EMOTE_COOLDOWN_MS = envNumber('EMOTE_COOLDOWN_MS', 1000); // Per socket
+const MAX_CHAT_LENGTH = 200;
+const CHAT_HISTORY_SIZE = 50; // Messages kept per room and sent to each joining socket
+const DEFAULT_MUTE_MINUTES = 5;
+const chatFilter = loadWordFilter(process.env.CHAT_FILTER_FILE || path.join(CONFIG_DIR, 'chatFilter.txt'));
 
-let engine;
-let world;
-let bodiesMap = new Map();
-let processedMerges = new Set();
-let gameOverTimer = null;
-let lastMergeTime = 0;
-let comboCount = 0;
-let firstClientId = null;
-let lastBroadcastState = null;
-let playerQueues = new Map(); // Personal nextFruit per player
+// Lag Compensation - drops that name the tick they were made on land a fixed delay later,
+// so a player's drops behave the same whatever their latency (up to the delay)
+const DROP_INPUT_DELAY_TICKS = envNumber('DROP_INPUT_DELAY_TICKS', 6);
+const MAX_DROP_LAG_TICKS = envNumber('MAX_DROP_LAG_TICKS', 60); // Older intended ticks count as "now"
+const MAX_DROP_LEAD_TICKS = 30; // Intended ticks past this are a client clock error
+const DEFAULT_PLAYER_NAME = 'TiiiKiii';
+
+
+// Rooms
+const DEFAULT_ROOM_ID = 'main';
+const DAILY_ROOM_ID = 'daily'; // Today's challenge: fixed seed and goal, default mode and config
+const MAX_ROOM_ID_LENGTH = 32;
+const rooms = new Map(); // roomId -> room (each owns its own engine and state)
 
 // Helper Functions
-function getRadius(fruit) {
-    const baseSize = fruit.baseSize || 20;
-    const sizeIncrement = fruit.sizeIncrement || 11;
-    const collisionScale = fruit.collisionScale || 1.0;
-    return (baseSize + (fruit.level * sizeIncrement)) * collisionScale;
-}
-
-function getRandomBlock() {
-    const rand = Math.random();
-    const level = rand < 0.35 ? 1 : 
-                 (rand < 0.60 ? 2 : 
-                 (rand < 0.80 ? 3 : 
-                 (rand < 0.95 ? 4 : 5)));
-    const fruit = FRUITS.find(f => f.level === level);
-    return { ...fruit, level };
-}
-
-// Initialize Matter.js Physics
-function initPhysics() {
-    engine = Matter.Engine.create({
-        gravity: { x: 0, y: 1.0 },
-        enableSleeping: false,
-        positionIterations: 10,
-        velocityIterations: 10
-    });
-    
-    world = engine.world;
-    
-    const wallOptions = { 
-        isStatic: true, 
-        friction: 0.5,
-        restitution: 0.1,
-        label: 'wall'
-    };
-    const wallThickness = BORDER_WIDTH * 2;
-    
-    const ground = Matter.Bodies.rectangle(
-        BOARD_WIDTH / 2, 
-        BOARD_HEIGHT + wallThickness / 2, 
-        BOARD_WIDTH, 
-        wallThickness, 
-        wallOptions
-    );
+// Unknown or missing names fall back to the server's default config
+function getGameConfig(name) {
+    return gameConfigs.get(name) || gameConfigs.get(DEFAULT_GAME_CONFIG);
+}
+
+// Room Management
+function sanitizeRoomId(roomId) {
+    if (typeof roomId !== 'string') return DEFAULT_ROOM_ID;
+    const cleaned = roomId.trim().replace(/[^A-Za-z0-9_-]/g, '').slice(0, MAX_ROOM_ID_LENGTH);
+    return cleaned || DEFAULT_ROOM_ID;
+}
+
+// Build a room's state and physics without registering it: a game engine board
+// (lib/gameEngine.js) plus everything about the people in it.
+// emit(event, data) is how the room talks to its clients.
+// snapshot, if given, resumes a game saved by getSnapshot() instead of starting a new one.
+function buildRoom(roomId, emit, { seed = createSeed(), mode = parseMode(), config = getGameConfig(), snapshot = null } = {}) {
+    const board = createBoard(roomId, emit, {
+        seed,
+        mode,
+        config, // Board, fruits and physics for this game
+        snapshot,
+        // A resumed game keeps the high score it was saved with
+        highScore: snapshot ? 0 : historyStore.getHighScore(),
+        getName: getPlayerName
+    });
+    const room = Object.assign(board, {
+        scheduledDrops: [], // Lag-compensated drops waiting for their tick: { tick, playerId, x }, by tick
+        hostId: null, // May restart, pause and kick; also saves history
+        restartVote: null, // { votes, initiatorId, modeOptions, endsAt, timer }
+        sync: null, // What clients were last sent (delta protocol)
+        members: new Set(), // Player ids in the room, connected or within their grace period
+        spectators: new Set(), // Socket ids watching without a seat
+        feeds: new Set(), // SSE responses streaming the room (read-only, like spectators)
+        playerQueues: new Map(), // Personal nextFruit per player
+        turnOrder: [], // Player ids in join order (turn-based mode)
+        chatHistory: [], // Last CHAT_HISTORY_SIZE messages; kept across restarts
+        chatSeq: 0,
+        mutedUntil: new Map(), // playerId -> time their mute ends
+        createdAt: Date.now()
+    });
     
-    const leftWall = Matter.Bodies.rectangle(
-        -wallThickness / 2, 
-        BOARD_HEIGHT / 2, 
-        wallThickness, 
-        BOARD_HEIGHT, 
-        wallOptions
-    );
+    room.sync = createSyncState(room.gameState);
+    return room;
+}
+
+// modeOptions: { mode, turnSeconds, sprintMinutes, config }
+function createRoom(roomId, modeOptions = {}, snapshot = null) {
+    if (roomId === DAILY_ROOM_ID) modeOptions = {};
+    const mode = snapshot ? snapshot.mode : parseMode(modeOptions);
+    // Snapshots carry their config so a game resumes on the board it started on
+    const config = snapshot ? snapshot.config : getGameConfig(modeOptions.config);
+    const room = buildRoom(roomId, (event, data) => {
+        io.to(roomId).emit(event, data);
+        room.feeds.forEach(res => writeFeedEvent(res, event, data));
+    }, { mode, config, seed: snapshot ? snapshot.seed : getNewGameSeed(roomId), snapshot });
+    if (!snapshot && roomId === DAILY_ROOM_ID) {
+        startDailyChallenge(room);
+        takeKeyframe(room.sync, room.gameState); // Nobody has been sent anything yet
+    }
+    rooms.set(roomId, room);
     
-    const rightWall = Matter.Bodies.rectangle(
-        BOARD_WIDTH + wallThickness / 2, 
-        BOARD_HEIGHT / 2, 
-        wallThickness, 
-        BOARD_HEIGHT, 
-        wallOptions
-    );
+    logger.info(snapshot ? 'Room restored' : 'Room created', { roomId, mode: mode.name, config: config.name });
+    return room;
+}
+
+// The daily room plays the day's fixed seed every game; everywhere else gets a fresh one
+function getNewGameSeed(roomId) {
+    return roomId === DAILY_ROOM_ID ? getDailyChallenge().seed : createSeed();
+}
+
+function startDailyChallenge(room) {
+    if (room.id !== DAILY_ROOM_ID) return;
+    const { date, goal } = getDailyChallenge();
+    room.gameState.dailyChallenge = { date, goal, completed: false };
+}
+
+// Mode and config options only apply when the room is created by this connection
+function getOrCreateRoom(roomId, modeOptions) {
+    return rooms.get(roomId) || createRoom(roomId, modeOptions);
+}
+
+// Rooms other than the default one go away once nobody plays or watches
+function destroyRoomIfEmpty(room) {
+    // Everyone disconnects on shutdown; the room must survive in its snapshot
+    if (shuttingDown) return;
+    if (room.id === DEFAULT_ROOM_ID || rooms.get(room.id) !== room) return;
+    if (room.members.size > 0 || room.spectators.size > 0 || room.feeds.size > 0) return;
+    destroyRoom(room);
+}
+
+function destroyRoom(room) {
+    unloadRoom(room);
+    snapshotStore.removeSnapshot(room.id);
+    ownership.release(room.id).catch((err) => {
+        logger.error('Failed to release room lease', { roomId: room.id, error: err.message });
+    });
     
-    Matter.World.add(world, [ground, leftWall, rightWall]);
-    
-    console.log('✅ Physics engine initialized');
-}
-
-// Drop Fruit
-function dropFruit(x, playerId, fruitToDrop) {
-    const nextBlock = fruitToDrop || getRandomBlock();
-    const radius = getRadius(nextBlock);
-    
-    const newBlock = {
-        uid: `${Date.now()}-${Math.random()}`,
-        x: Math.max(radius + BORDER_WIDTH, Math.min(BOARD_WIDTH - radius - BORDER_WIDTH, x)),
-        y: radius + BORDER_WIDTH + 20,
-        vx: 0,
-        vy: 0,
-        radius,
-        rotation: 0,
-        angularVelocity: 0,
-        name: nextBlock.name,
-        color: nextBlock.color,
-        image: nextBlock.image,
-        level: nextBlock.level,
-        baseSize: nextBlock.baseSize,
-        sizeIncrement: nextBlock.sizeIncrement,
-        collisionScale: nextBlock.collisionScale,
-        droppedBy: playerId,
-        createdAt: Date.now()
+    logger.info('Room removed', { roomId: room.id });
+}
+
+// Stop running a room on this instance; its snapshot stays where it is
+function unloadRoom(room) {
+    if (room.restartVote) {
+        clearTimeout(room.restartVote.timer);
+        room.restartVote = null;
+    }
+    destroyBoard(room);
+    rooms.delete(room.id);
+}
+
+// Log lines about a room carry its id and the current game's id
+function roomLog(room) {
+    return logger.child({ roomId: room.id, gameId: room.gameState.gameId });
+}
+
+// Keyframe payload for clients joining or resyncing
+function getKeyframePayload(room) {
+    return {
+        roomId: room.id,
+        config: room.config.name,
+        hostId: room.hostId,
+        spectators: getSpectatorCount(room),
+        restartVote: getRestartVoteStatus(room),
+        ...getKeyframe(room.sync),
+        tick: room.tick,
+        tickMs: TICK_MS,
+        serverTime: Date.now()
     };
+}
+
+// Members with a live connection (excludes those within their reconnect grace period)
+function getConnectedPlayerIds(room) {
+    return Array.from(room.members).filter(id => {
+        const player = players.get(id);
+        return player && player.connected;
+    });
+}
+
+// Spectators - receive the room's stream but hold no seat (no queue, turn, host role or vote)
+function getSpectatorCount(room) {
+    return room.spectators.size + room.feeds.size;
+}
+
+function emitSpectatorCount(room) {
+    room.emit('spectatorsChanged', { spectators: getSpectatorCount(room) });
+}
+
+function addSpectator(room, socketId) {
+    room.spectators.add(socketId);
+    emitSpectatorCount(room);
+}
+
+function removeSpectator(room, socketId) {
+    if (!room.spectators.delete(socketId)) return;
+    emitSpectatorCount(room);
+    destroyRoomIfEmpty(room);
+}
+
+// Server-Sent Events framing for the read-only feed
+function writeFeedEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Combo reward: a power-up replaces the player's next fruit. Live boards only; a
+// replay needs nothing from here since the recorded drop names the power-up.
+function awardPowerUp(room, playerId) {
+    if (!room.playerQueues.has(playerId)) return; // Left the room, or garbage
     
-    const body = Matter.Bodies.circle(newBlock.x, newBlock.y, newBlock.radius, {
-        restitution: 0.15,
-        friction: newBlock.level <= 3 ? 0.8 : 0.3,
-        frictionAir: newBlock.level <= 3 ? 0.02 : 0.005,
-        density: 0.002,
-        label: `fruit-${newBlock.level}`
-    });
-    
-    Matter.Body.setVelocity(body, { x: 0, y: 0 });
-    Matter.World.add(world, body);
-    bodiesMap.set(newBlock.uid, body);
-    
-    gameState.blocks.push(newBlock);
-    gameState.totalBlocks++;
-    
-    console.log(`🍎 Fruit dropped by ${playerId}: ${newBlock.name} at x=${x}`);
-    
-    return newBlock;
-}
-
-// Check for Merges
-function checkForMerges() {
-    const toRemove = new Set();
-    const toAdd = [];
-    
-    for (let i = 0; i < gameState.blocks.length; i++) {
-        if (toRemove.has(i)) continue;
-        
-        for (let j = i + 1; j < gameState.blocks.length; j++) {
-            if (toRemove.has(j)) continue;
-            
-            const b1 = gameState.blocks[i];
-            const b2 = gameState.blocks[j];
-            
-            if (b1.level === b2.level && b1.level < MAX_LEVEL) {
-                const dx = b1.x - b2.x;
-                const dy = b1.y - b2.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                const touchDist = b1.radius + b2.radius;
-                
-                if (dist < touchDist * 1.05) {
-                    const mergeKey = `${b1.uid}-${b2.uid}`;
-                    if (processedMerges.has(mergeKey)) continue;
-                    
-                    processedMerges.add(mergeKey);
-                    
-                    const newLevel = b1.level + 1;
-                    const newFruit = FRUITS.find(f => f.level === newLevel);
-                    const newRadius = getRadius(newFruit);
-                    const mergeX = (b1.x + b2.x) / 2;
-                    const mergeY = (b1.y + b2.y) / 2;
-                    
-                    const basePoints = Math.pow(2, newLevel) * 10;
-                    const now = Date.now();
-                    const timeSinceLastMerge = now - lastMergeTime;
-                    lastMergeTime = now;
-                    
-                    let points = basePoints;
-                    if (timeSinceLastMerge < COMBO_WINDOW && comboCount > 0) {
-                        comboCount++;
-                        gameState.combo = comboCount;
-                        points = Math.floor(basePoints * (1 + comboCount * 0.1));
-                    } else {
-                        comboCount = 1;
-                        gameState.combo = 1;
-                    }
-                    
-                    gameState.score += points;
-                    if (gameState.score > gameState.highScore) {
-                        gameState.highScore = gameState.score;
-                    }
-                    if (comboCount > gameState.maxCombo) {
-                        gameState.maxCombo = comboCount;
-                    }
-                    
-                    const mergedBlock = {
-                        uid: `${Date.now()}-${Math.random()}`,
-                        x: mergeX,
-                        y: mergeY,
-                        vx: (b1.vx + b2.vx) / 2,
-                        vy: -3,
-                        radius: newRadius,
-                        rotation: 0,
-                        angularVelocity: 0,
-                        name: newFruit.name,
-                        color: newFruit.color,
-                        image: newFruit.image,
-                        level: newLevel,
-                        baseSize: newFruit.baseSize,
-                        sizeIncrement: newFruit.sizeIncrement,
-                        collisionScale: newFruit.collisionScale,
-                        createdAt: Date.now()
-                    };
-                    
-                    toAdd.push(mergedBlock);
-                    toRemove.add(i);
-                    toRemove.add(j);
-                    
-                    console.log(`✨ Merge: ${b1.name} + ${b2.name} → ${mergedBlock.name} (+${points} pts, combo ${comboCount}x)`);
-                    
-                    io.emit('merge', {
-                        x: mergeX,
-                        y: mergeY,
-                        color: b1.color,
-                        points,
-                        combo: comboCount,
-                        newFruit: mergedBlock.name
-                    });
-                    
-                    break;
-                }
-            }
-        }
-    }
+    const type = pickPowerUp(room.config, room.rng);
+    room.playerQueues.set(playerId, getPowerUpBlock(room.config, type));
+    io.to(playerId).emit('personalNextFruit', { nextFruit: room.playerQueues.get(playerId) });
+    room.emit('powerUp', { type, phase: 'earned', playerId, combo: room.comboCount });
+}
+
+// Progression - XP, achievements and the daily challenge for players with a session
+// (merges are credited to whoever dropped the newer fruit)
+function recordProgress(playerId, type, context) {
+    const player = players.get(playerId);
+    if (!player || player.isBot) return; // Garbage, bots, or a session that has expired
     
-    if (toRemove.size > 0) {
-        gameState.blocks.filter((_, idx) => toRemove.has(idx)).forEach(block => {
-            const body = bodiesMap.get(block.uid);
-            if (body) {
-                Matter.World.remove(world, body);
-                bodiesMap.delete(block.uid);
-            }
-        });
-        
-        const removedUids = gameState.blocks.filter((_, idx) => toRemove.has(idx)).map(b => b.uid);
-        const newMerges = new Set();
-        processedMerges.forEach(key => {
-            const uids = key.split('-');
-            if (!removedUids.includes(uids[0]) && !removedUids.includes(uids[1])) {
-                newMerges.add(key);
-            }
-        });
-        processedMerges = newMerges;
-        
-        const remaining = gameState.blocks.filter((_, idx) => !toRemove.has(idx));
-        gameState.blocks = remaining;
-        
-        toAdd.forEach(newBlock => {
-            const body = Matter.Bodies.circle(newBlock.x, newBlock.y, newBlock.radius, {
-                restitution: 0.15,
-                friction: 0.3,
-                frictionAir: 0.005,
-                density: 0.002,
-                label: `fruit-${newBlock.level}`
-            });
-            
-            Matter.Body.setVelocity(body, { x: newBlock.vx, y: newBlock.vy });
-            Matter.World.add(world, body);
-            bodiesMap.set(newBlock.uid, body);
-            
-            gameState.blocks.push(newBlock);
-        });
+    const { unlocked, level, leveledUp } = progressStore.updateProgress(playerId, progress => {
+        progress.name = getPlayerName(playerId);
+        return applyProgressEvent(progress, type, context);
+    });
+    
+    unlocked.forEach(achievement => {
+        logger.info('Achievement unlocked', { playerId, achievement: achievement.id });
+        io.to(playerId).emit('achievementUnlocked', achievement);
+    });
+    if (leveledUp) {
+        io.to(playerId).emit('levelUp', { level });
     }
 }
 
-// Check Game Over
-function checkGameOver() {
-    const settledDangerBlocks = gameState.blocks.filter(b => {
-        const body = bodiesMap.get(b.uid);
-        if (!body) return false;
-        
-        const isAboveLine = b.y - b.radius < GAME_OVER_LINE;
-        const velocity = Math.sqrt(b.vx * b.vx + b.vy * b.vy);
-        // Consider settled if velocity is low OR body is sleeping
-        const isSettled = velocity < 0.3 || body.isSleeping;
-        
-        return isAboveLine && isSettled;
-    });
-    
-    if (settledDangerBlocks.length > 0 && !gameState.gameOver) {
-        if (!gameOverTimer) {
-            console.log(`⚠️ Danger: ${settledDangerBlocks.length} settled blocks above line`);
-            gameOverTimer = setTimeout(() => {
-                gameState.gameOver = true;
-                console.log('💀 Game Over! Final Score:', gameState.score);
-                
-                // Get currently connected clients
-                const connectedSockets = Array.from(io.sockets.sockets.keys());
-                
-                if (connectedSockets.length > 0) {
-                    io.emit('gameOver', {
-                        score: gameState.score,
-                        highScore: gameState.highScore,
-                        maxCombo: gameState.maxCombo,
-                        shouldSaveHistory: false
-                    });
-                    
-                    // Make sure firstClientId is valid, reassign if needed
-                    if (!firstClientId || !connectedSockets.includes(firstClientId)) {
-                        firstClientId = connectedSockets[0];
-                        console.log('📸 Reassigned firstClientId for saveHistory:', firstClientId);
-                    }
-                    
-                    io.to(firstClientId).emit('saveHistory', {
-                        score: gameState.score,
-                        highScore: gameState.highScore,
-                        maxCombo: gameState.maxCombo
-                    });
-                } else {
-                    console.log('⚠️ No clients connected at game over, skipping saveHistory');
-                }
-            }, 3000);
-        }
-    } else {
-        if (gameOverTimer) {
-            clearTimeout(gameOverTimer);
-            gameOverTimer = null;
-        }
+// Everyone who dropped fruit in the game shares the completion
+function checkDailyChallenge(room) {
+    const { gameState } = room;
+    const daily = gameState.dailyChallenge;
+    if (!daily || daily.completed || !isDailyGoalMet(daily.goal, gameState)) return;
+    
+    daily.completed = true;
+    const playerIds = Object.keys(gameState.contributors);
+    playerIds.forEach(playerId => recordProgress(playerId, 'daily', { date: daily.date }));
+    
+    roomLog(room).info('Daily challenge completed', { date: daily.date, players: playerIds.length });
+    room.emit('dailyChallengeCompleted', {
+        date: daily.date,
+        goal: daily.goal,
+        players: playerIds.map(playerId => ({ playerId, name: gameState.contributors[playerId].name }))
+    });
+}
+
+// Turn-based mode: hand the turn to playerId and restart the turn timer
+function startTurn(room, playerId) {
+    const { gameState } = room;
+    if (!playerId) {
+        gameState.turn = null;
+        return;
     }
+    
+    gameState.turn = {
+        playerId,
+        deadlineTick: room.tick + Math.round(room.mode.turnSeconds * 1000 / TICK_MS)
+    };
+    room.emit('turnChanged', { ...gameState.turn, turnSeconds: room.mode.turnSeconds });
 }
 
-// Physics Loop (60 FPS)
-function startPhysicsLoop() {
-    setInterval(() => {
-        if (gameState.gameOver) return;
-        
-        Matter.Engine.update(engine, 1000 / 60);
-        
-        gameState.blocks = gameState.blocks.map(block => {
-            const body = bodiesMap.get(block.uid);
-            if (body) {
-                return {
-                    ...block,
-                    x: body.position.x,
-                    y: body.position.y,
-                    vx: body.velocity.x,
-                    vy: body.velocity.y,
-                    rotation: body.angle,
-                    angularVelocity: body.angularVelocity
-                };
-            }
-            return block;
-        });
-        
-        checkForMerges();
-        checkGameOver();
-    }, 1000 / 60);
+function advanceTurn(room) {
+    const { turn } = room.gameState;
+    const order = room.turnOrder;
+    if (order.length === 0) {
+        startTurn(room, null);
+        return;
+    }
+    
+    const idx = turn ? order.indexOf(turn.playerId) : -1;
+    startTurn(room, order[(idx + 1) % order.length]);
 }
 
-// OPTIMIZED Broadcast Loop - 30 FPS for smoother client interpolation
-// Includes velocity data for client-side prediction
-function startBroadcastLoop() {
-    setInterval(() => {
-        const currentStateHash = `${gameState.blocks.length}-${gameState.score}-${gameState.gameOver}`;
-        const blocksMoving = gameState.blocks.some(b => {
-            const body = bodiesMap.get(b.uid);
-            if (!body) return false;
-            const velocity = Math.sqrt(body.velocity.x ** 2 + body.velocity.y ** 2);
-            return velocity > 0.05; // Lower threshold - broadcast even slow movement
-        });
-        
-        if (!blocksMoving && lastBroadcastState === currentStateHash && gameState.blocks.length > 0) {
-            return;
-        }
-        
-        lastBroadcastState = currentStateHash;
-        
-        // Send position AND velocity for client interpolation/prediction
-        const optimizedBlocks = gameState.blocks.map(b => ({
-            uid: b.uid,
-            x: Math.round(b.x * 10) / 10,
-            y: Math.round(b.y * 10) / 10,
-            // Include velocity for client-side prediction
-            vx: Math.round((b.vx || 0) * 100) / 100,
-            vy: Math.round((b.vy || 0) * 100) / 100,
-            radius: b.radius,
-            rotation: Math.round((b.rotation || 0) * 100) / 100,
-            // Include angular velocity for rotation prediction
-            av: Math.round((b.angularVelocity || 0) * 100) / 100,
-            image: b.image,
-            name: b.name,
-            level: b.level
-        }));
-        
-        io.emit('gameState', {
-            blocks: optimizedBlocks,
-            score: gameState.score,
-            highScore: gameState.highScore,
-            gameOver: gameState.gameOver,
-            totalBlocks: gameState.totalBlocks,
-            maxCombo: gameState.maxCombo,
-            combo: gameState.combo,
-            contributors: gameState.contributors,
-            // Include server timestamp for latency compensation
-            serverTime: Date.now()
-        });
-    }, 33); // ~30 FPS (33ms) - better balance of smoothness vs bandwidth
+// Auto-drop for a player who let the turn timer run out
+function checkTurnTimer(room) {
+    const { turn } = room.gameState;
+    if (!turn || room.tick < turn.deadlineTick) return;
+    // A drop made in time is still on its way
+    if (hasScheduledDrop(room, turn.playerId)) return;
+    
+    roomLog(room).info('Turn timed out, auto-dropping', { playerId: turn.playerId });
+    const { board } = room.config;
+    const x = board.borderWidth + room.rng() * (board.width - board.borderWidth * 2);
+    playerDrop(room, turn.playerId, x);
 }
 
-// Reset Combo
-setInterval(() => {
-    const now = Date.now();
-    if (now - lastMergeTime > COMBO_WINDOW && comboCount > 0) {
-        comboCount = 0;
-        gameState.combo = 0;
+// A player's drop: contributor tracking, personal queue and turn handover
+function playerDrop(room, playerId, x) {
+    const { gameState } = room;
+    const name = getPlayerName(playerId);
+    
+    // Track contributor by stable player id; the name is just for display
+    if (!gameState.contributors[playerId]) {
+        gameState.contributors[playerId] = { name, drops: 0 };
+        if (bots.has(playerId)) {
+            gameState.contributors[playerId].bot = true;
+        }
     }
-}, 100);
-
-// WebSocket Events
-io.on('connection', (socket) => {
-    console.log('👤 Player connected:', socket.id);
+    gameState.contributors[playerId].name = name;
+    gameState.contributors[playerId].drops++;
     
-    if (!firstClientId) {
-        firstClientId = socket.id;
-        console.log('📸 First client designated for history saving:', socket.id);
+    if (room.mode.perPlayerScoring) {
+        getPlayerScore(room, playerId).name = name;
     }
+    const stats = getPlayerStats(room, playerId);
+    stats.name = name;
+    stats.drops++;
+    recordProgress(playerId, 'drop', { gameDrops: gameState.contributors[playerId].drops });
+    dropsCounter.inc();
     
-    // Generate personal nextFruit for this player
-    playerQueues.set(socket.id, getRandomBlock());
+    // Get this player's fruit from their personal queue
+    const playerFruit = room.playerQueues.get(playerId) || getRandomBlock(room.config, room.rng);
     
-    socket.emit('gameState', {
-        blocks: gameState.blocks,
+    // Drop the fruit
+    const block = dropFruit(room, x, playerId, playerFruit);
+    
+    // Generate new fruit for this player
+    room.playerQueues.set(playerId, getRandomBlock(room.config, room.rng));
+    
+    if (room.mode.turnBased) {
+        advanceTurn(room);
+    }
+    
+    // The new block reaches the room in the next broadcast delta.
+    // Send personal nextFruit only to this player
+    io.to(playerId).emit('personalNextFruit', { nextFruit: room.playerQueues.get(playerId) });
+    return block;
+}
+
+function getGameOverPayload(room) {
+    const { gameState } = room;
+    return {
+        gameId: gameState.gameId,
+        mode: gameState.mode,
+        reason: gameState.endReason,
         score: gameState.score,
         highScore: gameState.highScore,
-        gameOver: gameState.gameOver,
+        maxCombo: gameState.maxCombo,
+        playerScores: gameState.playerScores,
+        playerStats: gameState.playerStats,
+        shouldSaveHistory: false
+    };
+}
+
+// Record a finished game in the history store
+function recordGame(room) {
+    const { gameState } = room;
+    const endedAt = Date.now();
+    const highestFruit = getFruitByLevel(room.config, gameState.highestLevel);
+    
+    const record = historyStore.addGame({
+        id: gameState.gameId,
+        roomId: room.id,
+        mode: room.mode.name,
+        config: room.config.name,
+        score: gameState.score,
+        maxCombo: gameState.maxCombo,
         totalBlocks: gameState.totalBlocks,
+        duration: endedAt - gameState.startedAt,
+        highestLevel: gameState.highestLevel,
+        highestFruit: highestFruit ? highestFruit.name : null,
+        contributors: { ...gameState.contributors },
+        playerScores: room.mode.perPlayerScoring ? structuredClone(gameState.playerScores) : undefined,
+        playerStats: structuredClone(gameState.playerStats),
+        startedAt: gameState.startedAt,
+        endedAt
+    });
+    
+    replayStore.saveReplay(record.id, {
+        version: REPLAY_VERSION,
+        gameId: record.id,
+        roomId: room.id,
+        mode: room.mode,
+        config: room.config,
+        tickMs: TICK_MS,
+        endTick: room.tick,
+        ...room.recording,
+        score: gameState.score,
         maxCombo: gameState.maxCombo,
-        combo: gameState.combo,
-        nextFruit: playerQueues.get(socket.id),
-        contributors: gameState.contributors,
-        serverTime: Date.now()
+        totalBlocks: gameState.totalBlocks
     });
     
-    // If game is already over, send gameOver event so client shows the screen
-    if (gameState.gameOver) {
-        socket.emit('gameOver', {
-            score: gameState.score,
-            highScore: gameState.highScore,
-            maxCombo: gameState.maxCombo,
-            shouldSaveHistory: false
-        });
-    }
+    gamesCounter.inc({ mode: room.mode.name });
+    roomLog(room).info('Game recorded');
+    return record;
+}
+
+// End Game - reason is 'overflow' (game over line), 'timeUp' (sprint) or 'admin' (ended by an operator)
+function endGame(room, reason) {
+    const { gameState } = room;
+    if (gameState.gameOver) return;
     
-    socket.on('dropFruit', (data) => {
-        if (gameState.gameOver) {
-            socket.emit('error', { message: 'Game is over' });
-            return;
-        }
-        
-        const { x, playerName } = data;
-        const name = playerName || 'TiiiKiii';
-        
-        console.log(`👤 Player name received: "${playerName}" -> using: "${name}"`);
+    finishGame(room, reason);
+    roomLog(room).info('Game over', { reason, score: gameState.score });
+    
+    const record = recordGame(room);
+    gameState.gameId = record.id;
+    Object.keys(gameState.contributors).forEach(playerId => {
+        recordProgress(playerId, 'gameOver', { score: gameState.score });
+    });
+    
+    // Get currently connected players in this room
+    const connectedPlayers = getConnectedPlayerIds(room);
+    
+    if (connectedPlayers.length > 0) {
+        room.emit('gameOver', getGameOverPayload(room));
         
-        // Track contributor
-        if (!gameState.contributors[name]) {
-            gameState.contributors[name] = 0;
+        // Make sure the host is valid, reassign if needed
+        if (!room.hostId || !connectedPlayers.includes(room.hostId)) {
+            setHost(room, connectedPlayers[0]);
         }
-        gameState.contributors[name]++;
-        
-        console.log('📊 Contributors:', JSON.stringify(gameState.contributors));
         
-        // Get this player's fruit from their personal queue
-        const playerFruit = playerQueues.get(socket.id) || getRandomBlock();
-        
-        // Drop the fruit
-        dropFruit(x, socket.id, playerFruit);
-        
-        // Generate new fruit for this player
-        playerQueues.set(socket.id, getRandomBlock());
-        
-        // Broadcast game state to all (without nextFruit - each player has their own)
-        io.emit('gameState', {
-            blocks: gameState.blocks,
+        io.to(room.hostId).emit('saveHistory', {
+            gameId: record.id,
             score: gameState.score,
             highScore: gameState.highScore,
-            gameOver: gameState.gameOver,
-            totalBlocks: gameState.totalBlocks,
-            maxCombo: gameState.maxCombo,
-            combo: gameState.combo,
-            contributors: gameState.contributors,
-            serverTime: Date.now()
+            maxCombo: gameState.maxCombo
         });
-        
-        // Send personal nextFruit only to this player
-        socket.emit('personalNextFruit', { nextFruit: playerQueues.get(socket.id) });
+    } else {
+        roomLog(room).warn('No clients connected at game over, skipping saveHistory');
+    }
+}
+
+// Restart Game - modeOptions, if given, switch the room to another mode or game config
+function restartRoom(room, modeOptions) {
+    if (room.id === DAILY_ROOM_ID) modeOptions = null;
+    restartBoard(room, {
+        seed: getNewGameSeed(room.id),
+        mode: modeOptions && modeOptions.mode ? parseMode(modeOptions) : room.mode,
+        config: modeOptions && modeOptions.config ? getGameConfig(modeOptions.config) : room.config
     });
-    
-    socket.on('restart', () => {
-        console.log('🔄 Game restarting...');
-        
-        bodiesMap.forEach((body) => {
-            Matter.World.remove(world, body);
-        });
-        bodiesMap.clear();
-        
-        gameState = {
-            blocks: [],
-            score: 0,
-            highScore: gameState.highScore,
-            gameOver: false,
-            totalBlocks: 0,
-            maxCombo: 0,
-            combo: 0,
-            contributors: {}
-        };
-        
-        processedMerges.clear();
-        comboCount = 0;
-        lastMergeTime = 0;
-        
-        if (gameOverTimer) {
-            clearTimeout(gameOverTimer);
-            gameOverTimer = null;
-        }
-        
-        // Generate new personal fruits for all connected players
-        io.sockets.sockets.forEach((s, id) => {
-            playerQueues.set(id, getRandomBlock());
-            s.emit('personalNextFruit', { nextFruit: playerQueues.get(id) });
-        });
-        
-        io.emit('gameState', {
-            ...gameState,
-            serverTime: Date.now()
-        });
-        console.log('✅ Game restarted');
+    room.scheduledDrops = [];
+    room.members.forEach(id => {
+        const player = players.get(id);
+        if (player) forgetPendingDrop(room, player);
     });
+    startDailyChallenge(room);
     
-    socket.on('disconnect', () => {
-        console.log('👋 Player disconnected:', socket.id);
-        
-        // Clean up player's queue
-        playerQueues.delete(socket.id);
-        
-        if (socket.id === firstClientId) {
-            // Reassign to another connected client if available
-            const connectedSockets = Array.from(io.sockets.sockets.keys()).filter(id => id !== socket.id);
-            if (connectedSockets.length > 0) {
-                firstClientId = connectedSockets[0];
-                console.log('📸 First client reassigned to:', firstClientId);
-            } else {
-                firstClientId = null;
-                console.log('📸 No clients remaining, firstClientId cleared');
-            }
-        }
+    if (room.restartVote) {
+        endRestartVote(room, 'cancelled');
+    }
+    
+    // Generate new personal fruits for all players in the room
+    room.members.forEach(id => {
+        room.playerQueues.set(id, getRandomBlock(room.config, room.rng));
+        io.to(id).emit('personalNextFruit', { nextFruit: room.playerQueues.get(id) });
     });
-});
+    
+    if (room.mode.turnBased) {
+        startTurn(room, room.turnOrder[0]);
+    }
+    
+    // Clients drop whatever they had and start over from this keyframe
+    takeKeyframe(room.sync, room.gameState);
+    room.emit('gameState', getKeyframePayload(room));
+    roomLog(room).info('Game restarted', { mode: room.mode.name, config: room.config.name });
+}
 
-// Health check endpoint
-app.get('/', (req, res) => {
-    res.json({
-        status: 'running',
-        players: io.engine.clientsCount,
-        blocks: gameState.blocks.length,
-        score: gameState.score,
-        gameOver: gameState.gameOver
+// Host Role - handed over to the next connected player when the host leaves
+function setHost(room, hostId) {
+    room.hostId = hostId || null;
+    roomLog(room).info('Host changed', { hostId: room.hostId });
+    room.emit('hostChanged', { hostId: room.hostId });
+}
+
+function isHost(room, playerId) {
+    return room.hostId === playerId;
+}
+
+// Pause & Resume - the physics loop skips paused rooms
+function setPaused(room, paused, byId) {
+    if (room.gameState.paused === paused) return;
+    
+    room.gameState.paused = paused;
+    
+    roomLog(room).info(paused ? 'Game paused' : 'Game resumed', { byId });
+    room.emit(paused ? 'paused' : 'resumed', { by: byId });
+    // A game over countdown counts ticks, so it stands still while paused and picks up
+    // where it was; clients are told where that is
+    const danger = getDangerStatus(room);
+    if (danger) {
+        room.emit('dangerTick', danger);
+    }
+}
+
+function kickPlayer(room, playerId, byId) {
+    const player = players.get(playerId);
+    if (!player || player.roomId !== room.id) return false;
+    
+    roomLog(room).info('Player kicked', { playerId, byId });
+    io.to(player.id).emit('kicked', { by: byId });
+    removePlayerFromRoom(room, player);
+    
+    // The disconnect handler finishes cleaning up a connected player
+    if (player.connected) {
+        io.in(player.id).disconnectSockets(true);
+    } else {
+        expirePlayer(player);
+    }
+    return true;
+}
+
+// Chat & Emotes - players and spectators alike; the host can mute anyone for a while
+function isMuted(room, playerId) {
+    const until = room.mutedUntil.get(playerId);
+    if (until === undefined) return false;
+    if (Date.now() < until) return true;
+    room.mutedUntil.delete(playerId);
+    return false;
+}
+
+function postChatMessage(room, player, text) {
+    const message = {
+        id: ++room.chatSeq,
+        playerId: player.id,
+        name: player.name,
+        text: chatFilter(text),
+        sentAt: Date.now()
+    };
+    room.chatHistory.push(message);
+    if (room.chatHistory.length > CHAT_HISTORY_SIZE) {
+        room.chatHistory.shift();
+    }
+    room.emit('chatMessage', message);
+}
+
+// Seated in the room, or watching it
+function isInRoom(room, playerId) {
+    if (room.members.has(playerId)) return true;
+    return Array.from(room.spectators).some((socketId) => {
+        const socket = io.sockets.sockets.get(socketId);
+        return socket && socket.data.playerId === playerId;
     });
-});
+}
 
-// Start Server
-server.listen(PORT, () => {
-    console.log(`🚀 Suikiii Server running on port ${PORT}`);
-    initPhysics();
-    startPhysicsLoop();
-    startBroadcastLoop();
-    console.log('✅ Server ready for connections!');
-});
+function mutePlayer(room, playerId, minutes, byId) {
+    if (!isInRoom(room, playerId)) return false;
+    
+    const until = Date.now() + minutes * 60000;
+    room.mutedUntil.set(playerId, until);
+    roomLog(room).info('Player muted', { playerId, byId, minutes });
+    room.emit('playerMuted', { playerId, until, by: byId });
+    return true;
+}
+
+function unmutePlayer(room, playerId, byId) {
+    if (!room.mutedUntil.delete(playerId)) return false;
+    
+    roomLog(room).info('Player unmuted', { playerId, byId });
+    room.emit('playerUnmuted', { playerId, by: byId });
+    return true;
+}
+
+// Sliding window per socket; an allowed message is counted here
+function getChatLimitError(socket) {
+    const now = Date.now();
+    const sentAt = (socket.data.chatSentAt || []).filter(at => now - at < CHAT_WINDOW_MS);
+    socket.data.chatSentAt = sentAt;
+    
+    if (sentAt.length >= CHAT_MESSAGE_LIMIT) {
+        return 'Sending messages too fast';
+    }
+    sentAt.push(now);
+    return null;
+}
+
+// Restart Voting - non-hosts need a majority of connected players within the window
+function getVotesNeeded(room) {
+    return Math.floor(getConnectedPlayerIds(room).length / 2) + 1;
+}
+
+function getRestartVoteStatus(room) {
+    const vote = room.restartVote;
+    if (!vote) return null;
+    return {
+        initiatorId: vote.initiatorId,
+        yes: vote.votes.size,
+        needed: getVotesNeeded(room),
+        endsAt: vote.endsAt
+    };
+}
+
+function startRestartVote(room, initiatorId, modeOptions) {
+    room.restartVote = {
+        votes: new Set([initiatorId]),
+        initiatorId,
+        modeOptions,
+        endsAt: Date.now() + RESTART_VOTE_WINDOW_MS,
+        timer: setTimeout(() => endRestartVote(room, 'expired'), RESTART_VOTE_WINDOW_MS)
+    };
+    
+    roomLog(room).info('Restart vote started', { initiatorId });
+    room.emit('restartVoteStarted', getRestartVoteStatus(room));
+    checkRestartVote(room);
+}
+
+function castRestartVote(room, voterId, yes) {
+    const vote = room.restartVote;
+    if (yes) {
+        vote.votes.add(voterId);
+    } else {
+        vote.votes.delete(voterId);
+    }
+    
+    room.emit('restartVoteUpdate', getRestartVoteStatus(room));
+    checkRestartVote(room);
+}
+
+function checkRestartVote(room) {
+    const vote = room.restartVote;
+    if (!vote || vote.votes.size < getVotesNeeded(room)) return;
+    
+    endRestartVote(room, 'passed');
+    restartRoom(room, vote.modeOptions);
+}
+
+// result: 'passed', 'expired' or 'cancelled' (restarted some other way)
+function endRestartVote(room, result) {
+    const vote = room.restartVote;
+    if (!vote) return;
+    
+    clearTimeout(vote.timer);
+    room.restartVote = null;
+    
+    roomLog(room).info('Restart vote ended', { result, yes: vote.votes.size });
+    room.emit('restartVoteEnded', { result, yes: vote.votes.size });
+}
+
+// simulateTick for live boards; replays and benchmarks call simulateTick directly
+// so they don't show up in the metrics
+function stepSimulation(room) {
+    const mergesBefore = room.recording.merges.length;
+    simulateTick(room);
+    const merges = room.recording.merges.length - mergesBefore;
+    if (merges > 0) {
+        mergesCounter.inc(undefined, merges);
+        room.recording.merges.slice(mergesBefore).forEach(merge => {
+            recordProgress(merge.playerId, 'merge', { merge, maxLevel: room.config.fruits.length });
+        });
+    }
+    room.powerUpRewards.splice(0).forEach(playerId => awardPowerUp(room, playerId));
+}
+
+// Tick a drop lands on: intendedTick (the client's view of room.tick when it dropped)
+// plus the input delay, never in the past. Drops without a tick land right away.
+function getDropTargetTick(room, intendedTick) {
+    if (intendedTick === undefined) return room.tick;
+    
+    const clamped = Math.min(room.tick + MAX_DROP_LEAD_TICKS, Math.max(room.tick - MAX_DROP_LAG_TICKS, intendedTick));
+    return Math.max(room.tick, clamped + DROP_INPUT_DELAY_TICKS);
+}
+
+// Drop now if the target tick has come, otherwise queue it. Returns the block if dropped.
+function scheduleDrop(room, playerId, x, tick) {
+    if (tick <= room.tick) {
+        return playerDrop(room, playerId, x);
+    }
+    
+    const idx = room.scheduledDrops.findIndex(drop => drop.tick > tick);
+    room.scheduledDrops.splice(idx === -1 ? room.scheduledDrops.length : idx, 0, { tick, playerId, x });
+    return null;
+}
+
+function hasScheduledDrop(room, playerId) {
+    return room.scheduledDrops.some(drop => drop.playerId === playerId);
+}
+
+function applyScheduledDrops(room) {
+    while (room.scheduledDrops.length > 0 && room.scheduledDrops[0].tick <= room.tick) {
+        const drop = room.scheduledDrops.shift();
+        if (!room.members.has(drop.playerId)) continue; // Left the room before its tick came
+        const block = playerDrop(room, drop.playerId, drop.x);
+        
+        // The spawn zone check can follow the fruit now that it exists
+        const player = players.get(drop.playerId);
+        if (player && player.lastDrop && player.lastDrop.boardId === room.id && player.lastDrop.uid === null) {
+            player.lastDrop.uid = block.uid;
+        }
+    }
+}
+
+// A drop the player was waiting on in room will never come (the room restarted, or they
+// left): stop the spawn zone check from holding their next one back for it
+function forgetPendingDrop(room, player) {
+    const last = player.lastDrop;
+    if (last && last.boardId === room.id && last.uid === null) {
+        player.lastDrop = null;
+    }
+}
+
+// Physics Loop (60 FPS)
+function stepRoom(room) {
+    if (room.gameState.gameOver || room.gameState.paused) return;
+    
+    // Drops happen before the tick so the input log sees them at this tick
+    applyScheduledDrops(room);
+    if (room.mode.turnBased) {
+        checkTurnTimer(room);
+    }
+    
+    stepSimulation(room);
+    checkDailyChallenge(room);
+    
+    // Sprint ends on the clock instead of at the game over line
+    if (room.mode.timed) {
+        if (room.tick >= room.gameState.sprintEndTick) {
+            endGame(room, 'timeUp');
+        }
+    } else if (checkGameOver(room)) {
+        endGame(room, 'overflow');
+    }
+}
+
+// Fixed timestep: wall-clock time accumulates and is spent in whole ticks, so a late
+// timer catches up instead of slowing the game down. Past MAX_CATCH_UP_TICKS the
+// backlog is dropped rather than fast-forwarding through it.
+function startPhysicsLoop() {
+    let lastTime = performance.now();
+    let accumulator = 0;
+    
+    loops.push(setInterval(() => {
+        const now = performance.now();
+        accumulator += now - lastTime;
+        lastTime = now;
+        
+        let ticks = 0;
+        while (accumulator >= TICK_MS && ticks < MAX_CATCH_UP_TICKS) {
+            const tickStart = performance.now();
+            rooms.forEach(stepRoom);
+            matches.forEach(stepMatch);
+            tickDuration.observe((performance.now() - tickStart) / 1000);
+            accumulator -= TICK_MS;
+            ticks++;
+        }
+        
+        if (accumulator >= TICK_MS) {
+            const skipped = Math.floor(accumulator / TICK_MS);
+            accumulator -= skipped * TICK_MS;
+            logger.warn('Physics loop fell behind, skipping ticks', { skippedTicks: skipped });
+        }
+    }, TICK_MS));
+}
+
+// Broadcast Loop - 30 FPS deltas against the last state sent to the room
+// Includes velocity data for client-side prediction
+function broadcastRoom(room) {
+    const delta = takeDelta(room.sync, room.gameState);
+    if (!delta) return;
+    
+    const payload = {
+        ...delta,
+        tick: room.tick,
+        // Include server timestamp for latency compensation
+        serverTime: Date.now()
+    };
+    broadcastBytes.observe(Buffer.byteLength(JSON.stringify(payload)));
+    room.emit('gameStateDelta', payload);
+}
+
+function startBroadcastLoop() {
+    loops.push(setInterval(() => {
+        rooms.forEach(broadcastRoom);
+        matches.forEach(broadcastMatch);
+    }, 33)); // ~30 FPS (33ms) - better balance of smoothness vs bandwidth
+}
+
+// Snapshots - the whole room, engine bodies included, as plain JSON
+function getSnapshot(room) {
+    return {
+        version: SNAPSHOT_VERSION,
+        roomId: room.id,
+        savedAt: Date.now(),
+        ...getBoardSnapshot(room)
+    };
+}
+
+function saveSnapshots() {
+    rooms.forEach(room => snapshotStore.saveSnapshot(room.id, getSnapshot(room)));
+}
+
+// Resume a saved game; null if the snapshot is in an older format
+function restoreRoom(snapshot) {
+    if (snapshot.version !== SNAPSHOT_VERSION) return null;
+    
+    const room = createRoom(snapshot.roomId, {}, snapshot);
+    // Engine internals (contact caches, warm starting) aren't saved, so a replay
+    // of this game can drift from here on
+    room.recording.resumedAt = (room.recording.resumedAt || []).concat(room.tick);
+    roomLog(room).info('Resumed from snapshot', { tick: room.tick, blocks: room.gameState.blocks.length, score: room.gameState.score });
+    
+    // Players get the usual reconnect window to come back
+    setTimeout(() => destroyRoomIfEmpty(room), SESSION_GRACE_MS);
+    return room;
+}
+
+function startSnapshotLoop() {
+    loops.push(setInterval(saveSnapshots, SNAPSHOT_INTERVAL_MS));
+}
+
+// Cluster - each room runs on the one instance holding its lease (see lib/roomOwnership.js).
+// A player reaching another instance is refused with ROOM_OWNED_ELSEWHERE and the owner's
+// URL; a load balancer that hashes on the room id sends most players to the owner to begin
+// with. The rooms of an instance that dies are taken over from their last snapshot
+// (DATA_DIR is shared) by whichever instance claims them first. Versus matchmaking pairs
+// players connected to the same instance.
+
+// Make sure this instance runs roomId, taking it over from its snapshot if it has one.
+// Resolves to null when it does, or to the owner ({ instanceId, url }) when another does.
+async function acquireRoom(roomId) {
+    if (rooms.has(roomId)) return null;
+    
+    // The owner's lease can lapse between the claim and the lookup; then it is up for grabs
+    for (let attempt = 0; attempt < 2; attempt++) {
+        if (await ownership.claim(roomId)) {
+            const snapshot = !rooms.has(roomId) && snapshotStore.loadSnapshot(roomId);
+            if (snapshot) {
+                restoreRoom(snapshot);
+            }
+            return null;
+        }
+        
+        const owner = await ownership.getOwner(roomId);
+        if (owner) return owner;
+    }
+    return { instanceId: null, url: null };
+}
+
+// Take over saved rooms that nobody runs, and the default room if nobody does. Runs at
+// startup (a lone instance gets all its rooms back) and every lease period after, which
+// is how the rooms of an instance that died move.
+async function adoptRooms() {
+    const roomIds = new Set(snapshotStore.listSnapshotIds()).add(DEFAULT_ROOM_ID);
+    
+    for (const roomId of roomIds) {
+        if (shuttingDown) return;
+        if (rooms.has(roomId) || !(await ownership.claim(roomId)) || rooms.has(roomId)) continue;
+        
+        const snapshot = snapshotStore.loadSnapshot(roomId);
+        if (!(snapshot && restoreRoom(snapshot)) && roomId === DEFAULT_ROOM_ID) {
+            createRoom(DEFAULT_ROOM_ID);
+        }
+    }
+}
+
+// Another instance runs the room now (this one failed to renew the lease in time): stop
+// running it here and drop its sockets, whose reconnects take them to the new owner
+function onRoomLeaseLost(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    
+    roomLog(room).warn('Room taken over by another instance, unloading it');
+    // Its broadcasts would reach the new owner's clients now; leaving players give up nothing here
+    room.emit = () => {};
+    room.members.forEach(playerId => {
+        const player = players.get(playerId);
+        if (player && player.roomId === roomId) {
+            player.roomId = null;
+        }
+    });
+    unloadRoom(room);
+    
+    io.local.in(roomId).disconnectSockets(true);
+    room.feeds.forEach(res => res.end());
+}
+
+// Requests about a room run elsewhere go to its owner (a 307 keeps the method and body).
+// Resolves to true if it redirected.
+async function redirectToRoomOwner(req, res, roomId) {
+    let owner;
+    try {
+        owner = await ownership.getOwner(roomId);
+    } catch (err) {
+        logger.error('Failed to look up room owner', { roomId, error: err.message });
+        return false;
+    }
+    if (!owner || owner.instanceId === INSTANCE_ID || !owner.url) return false;
+    
+    res.redirect(307, new URL(req.originalUrl, owner.url).href);
+    return true;
+}
+
+function startClusterLoop() {
+    ownership.start(onRoomLeaseLost);
+    const adopt = () => adoptRooms().catch((err) => {
+        logger.error('Failed to adopt rooms', { error: err.message });
+    });
+    adopt();
+    loops.push(setInterval(adopt, ROOM_LEASE_MS));
+}
+
+// Graceful shutdown: warn clients, save a final snapshot, then close
+const loops = []; // Intervals of the loops started with the server
+let shuttingDown = false;
+
+// Resolves once the server has let go of its rooms, sockets and port
+async function stop() {
+    shuttingDown = true;
+    loops.splice(0).forEach(clearInterval);
+    
+    rooms.forEach(room => room.emit('serverRestarting', { serverTime: Date.now() }));
+    saveSnapshots();
+    await Promise.all([sessionStore.flush(), progressStore.flush()]);
+    
+    // Leases go only once the snapshots are saved, so whoever takes a room over gets it as it stopped
+    await ownership.stop()
+        .catch(err => logger.error('Failed to release room leases', { error: err.message }));
+    await broker.close();
+    // Closes the HTTP server too
+    await new Promise(resolve => io.close(() => resolve()));
+}
+
+function shutdown(signal) {
+    if (shuttingDown) return;
+    logger.info('Shutting down, saving snapshots', { signal });
+    
+    stop().then(() => process.exit(0));
+    // SSE feeds keep connections open; don't wait on them forever
+    setTimeout(() => process.exit(0), 2000).unref();
+}
+
+// Versus Mode - one board per player, big merges send garbage to opponents
+const VERSUS_SIZES = [2, 3, 4]; // Players per match (1v1 and small free-for-alls)
+const GARBAGE_COMBO_STEP = 3; // Every 3rd link of a combo chain sends garbage
+const GARBAGE_LEVEL_THRESHOLD = 7; // Merges into this level or higher send garbage
+const MAX_GARBAGE_PER_ATTACK = 6;
+const GARBAGE_DELAY_TICKS = Math.round(1500 / TICK_MS); // Warning time before garbage lands
+const DANGER_EVENTS = new Set(['dangerStart', 'dangerTick', 'dangerCleared']); // Game over countdowns opponents see
+
+const versusQueues = new Map(VERSUS_SIZES.map(size => [size, []])); // size -> waiting { id, name }
+const matches = new Map(); // matchId -> match
+let matchCounter = 0;
+
+function joinVersusQueue(playerId, size, name) {
+    leaveVersusQueue(playerId);
+    
+    const queue = versusQueues.get(size);
+    queue.push({ id: playerId, name });
+    logger.info('Queued for versus', { playerId, size, waiting: queue.length });
+    
+    if (queue.length >= size) {
+        startMatch(queue.splice(0, size));
+        return;
+    }
+    
+    queue.forEach((entry, idx) => {
+        io.to(entry.id).emit('versusQueued', { size, position: idx + 1, waiting: queue.length });
+    });
+}
+
+function leaveVersusQueue(playerId) {
+    versusQueues.forEach((queue, size) => {
+        const idx = queue.findIndex(entry => entry.id === playerId);
+        if (idx !== -1) {
+            queue.splice(idx, 1);
+            io.to(playerId).emit('versusQueueLeft', { size });
+        }
+    });
+}
+
+function startMatch(entries) {
+    matchCounter++;
+    // '.' never appears in sanitized room ids, so match channels can't be joined as rooms;
+    // the instance id keeps them apart from other instances' matches on the shared adapter
+    const matchId = `versus.${INSTANCE_ID}.${matchCounter}`;
+    const match = {
+        id: matchId,
+        rng: createRng(createSeed()),
+        players: new Map(),
+        aliveCount: entries.length,
+        startedAt: Date.now()
+    };
+    
+    entries.forEach(({ id, name }) => {
+        const player = {
+            id,
+            name,
+            alive: true,
+            place: null,
+            pendingGarbage: [], // { count, fromId, dropTick }
+            board: null
+        };
+        // Each board talks to the whole match so opponents can watch it
+        player.board = buildRoom(`${matchId}:${id}`, (event, data) => {
+            if (event === 'merge') {
+                onVersusMerge(match, player, data);
+                io.to(matchId).emit('versusMerge', { playerId: id, ...data });
+            } else if (DANGER_EVENTS.has(event)) {
+                io.to(matchId).emit(event, { matchId, playerId: id, ...data });
+            }
+        });
+        player.board.playerQueues.set(id, getRandomBlock(player.board.config, player.board.rng));
+        match.players.set(id, player);
+        
+        io.in(id).socketsJoin(matchId);
+        const record = players.get(id);
+        if (record) {
+            record.matchId = matchId;
+        }
+    });
+    
+    matches.set(matchId, match);
+    logger.info('Versus match started', { matchId, players: entries.map(e => e.id) });
+    
+    io.to(matchId).emit('versusMatchStart', getMatchState(match));
+    match.players.forEach(player => {
+        io.to(player.id).emit('personalNextFruit', { nextFruit: player.board.playerQueues.get(player.id) });
+    });
+}
+
+// Keyframe of every board in the match
+function getMatchState(match) {
+    const players = [];
+    const boards = {};
+    match.players.forEach(player => {
+        players.push({ id: player.id, name: player.name, alive: player.alive, place: player.place });
+        boards[player.id] = { ...getKeyframe(player.board.sync), tick: player.board.tick };
+    });
+    return { matchId: match.id, config: DEFAULT_GAME_CONFIG, players, boards, serverTime: Date.now() };
+}
+
+function getVersusBoard(match, playerId) {
+    const player = match && match.players.get(playerId);
+    return player && player.alive ? player.board : null;
+}
+
+function versusDrop(board, playerId, x) {
+    dropsCounter.inc();
+    const playerFruit = board.playerQueues.get(playerId) || getRandomBlock(board.config, board.rng);
+    const block = dropFruit(board, x, playerId, playerFruit);
+    board.playerQueues.set(playerId, getRandomBlock(board.config, board.rng));
+    recordProgress(playerId, 'drop', { gameDrops: board.recording.drops.filter(drop => drop.playerId === playerId).length });
+    
+    io.to(playerId).emit('personalNextFruit', { nextFruit: board.playerQueues.get(playerId) });
+    return block;
+}
+
+// Garbage earned by one merge: combo milestones (3x, 6x, ...) plus high-level fruits
+function getAttackStrength(merge) {
+    let count = 0;
+    if (merge.combo % GARBAGE_COMBO_STEP === 0) count += merge.combo / GARBAGE_COMBO_STEP;
+    if (merge.level >= GARBAGE_LEVEL_THRESHOLD) count += merge.level - GARBAGE_LEVEL_THRESHOLD + 1;
+    return Math.min(count, MAX_GARBAGE_PER_ATTACK);
+}
+
+function onVersusMerge(match, player, merge) {
+    // Garbage clearing itself doesn't fight back, or attacks would ping-pong forever
+    if (!player.alive || merge.droppedBy === GARBAGE_PLAYER_ID) return;
+    
+    const count = getAttackStrength(merge);
+    if (count === 0) return;
+    
+    const opponents = Array.from(match.players.values()).filter(p => p.alive && p.id !== player.id);
+    if (opponents.length === 0) return;
+    
+    const target = opponents[Math.floor(match.rng() * opponents.length)];
+    const dropTick = target.board.tick + GARBAGE_DELAY_TICKS;
+    target.pendingGarbage.push({ count, fromId: player.id, dropTick });
+    
+    logger.debug('Garbage sent', { matchId: match.id, from: player.id, to: target.id, count });
+    io.to(match.id).emit('garbageIncoming', {
+        matchId: match.id,
+        from: player.id,
+        to: target.id,
+        count,
+        dropTick
+    });
+}
+
+// Garbage is small fruit spread evenly across the top of the board
+function dropGarbage(match, player, { count, fromId }) {
+    const { config } = player.board;
+    const { board } = config;
+    for (let i = 0; i < count; i++) {
+        const level = match.rng() < 0.5 ? 1 : 2;
+        const x = board.borderWidth + (i + 1) * (board.width - board.borderWidth * 2) / (count + 1);
+        dropFruit(player.board, x, GARBAGE_PLAYER_ID, getFruitByLevel(config, level));
+    }
+    io.to(match.id).emit('garbageDropped', { matchId: match.id, from: fromId, to: player.id, count });
+}
+
+function stepMatch(match) {
+    match.players.forEach(player => {
+        // An elimination earlier in this pass may have ended the match and torn down every board
+        if (!player.alive || !matches.has(match.id)) return;
+        const { board } = player;
+        
+        const due = player.pendingGarbage.filter(g => g.dropTick <= board.tick);
+        if (due.length > 0) {
+            player.pendingGarbage = player.pendingGarbage.filter(g => g.dropTick > board.tick);
+            due.forEach(garbage => dropGarbage(match, player, garbage));
+        }
+        
+        stepSimulation(board);
+        
+        // A player's own game over check (same grace as shared rooms) eliminates them
+        if (checkGameOver(board)) {
+            eliminatePlayer(match, player, 'overflow');
+        }
+    });
+}
+
+function eliminatePlayer(match, player, reason) {
+    if (!player.alive) return;
+    
+    player.alive = false;
+    player.place = match.aliveCount;
+    player.pendingGarbage = [];
+    player.board.gameState.gameOver = true;
+    match.aliveCount--;
+    
+    logger.info('Versus player eliminated', { matchId: match.id, playerId: player.id, reason, place: player.place });
+    io.to(match.id).emit('playerEliminated', {
+        matchId: match.id,
+        playerId: player.id,
+        place: player.place,
+        reason,
+        score: player.board.gameState.score
+    });
+    
+    if (match.aliveCount <= 1) {
+        endMatch(match);
+    }
+}
+
+function endMatch(match) {
+    const winner = Array.from(match.players.values()).find(p => p.alive);
+    if (winner) {
+        winner.place = 1;
+    }
+    
+    const placements = Array.from(match.players.values())
+        .map(p => ({ playerId: p.id, name: p.name, place: p.place, score: p.board.gameState.score }))
+        .sort((a, b) => a.place - b.place);
+    
+    gamesCounter.inc({ mode: 'versus' });
+    logger.info('Versus match over', { matchId: match.id, winner: winner ? winner.id : null });
+    io.to(match.id).emit('versusMatchEnd', {
+        matchId: match.id,
+        winner: winner ? winner.id : null,
+        placements
+    });
+    
+    match.players.forEach(player => {
+        recordProgress(player.id, 'gameOver', { score: player.board.gameState.score });
+        destroyBoard(player.board);
+        
+        io.in(player.id).socketsLeave(match.id);
+        const record = players.get(player.id);
+        if (record) {
+            record.matchId = null;
+        }
+    });
+    matches.delete(match.id);
+}
+
+function broadcastMatch(match) {
+    match.players.forEach(player => {
+        const delta = takeDelta(player.board.sync, player.board.gameState);
+        if (!delta) return;
+        
+        const payload = {
+            matchId: match.id,
+            playerId: player.id,
+            ...delta,
+            tick: player.board.tick,
+            serverTime: Date.now()
+        };
+        broadcastBytes.observe(Buffer.byteLength(JSON.stringify(payload)));
+        io.to(match.id).emit('versusDelta', payload);
+    });
+}
+
+// Event Validation & Rate Limiting
+const PLAYER_NAME_RULE = { type: 'string', maxLength: MAX_RAW_NAME_LENGTH };
+
+const EVENT_SCHEMAS = {
+    dropFruit: {
+        x: { type: 'number', required: true },
+        tick: { type: 'integer', min: 0 }, // Room tick the client dropped on (lag compensation)
+        playerName: PLAYER_NAME_RULE
+    },
+    requestResync: {},
+    restart: {
+        mode: { type: 'string', oneOf: Object.keys(GAME_MODES) },
+        turnSeconds: { type: 'number' },
+        sprintMinutes: { type: 'number' },
+        config: { type: 'string', oneOf: Array.from(gameConfigs.keys()) }
+    },
+    voteRestart: {
+        yes: { type: 'boolean', required: true }
+    },
+    pause: {},
+    resume: {},
+    kick: {
+        playerId: { type: 'string', required: true, maxLength: 64 }
+    },
+    chat: {
+        text: { type: 'string', required: true, maxLength: MAX_CHAT_LENGTH }
+    },
+    emote: {
+        emote: { type: 'string', required: true, oneOf: EMOTES }
+    },
+    mute: {
+        playerId: { type: 'string', required: true, maxLength: 64 },
+        minutes: { type: 'number', min: 1, max: 1440 }
+    },
+    unmute: {
+        playerId: { type: 'string', required: true, maxLength: 64 }
+    },
+    joinVersusQueue: {
+        size: { type: 'integer', oneOf: VERSUS_SIZES },
+        playerName: PLAYER_NAME_RULE
+    },
+    leaveVersusQueue: {},
+    versusDrop: {
+        x: { type: 'number', required: true }
+    },
+    requestVersusResync: {},
+    clockPing: {
+        clientTime: { type: 'number', required: true }
+    },
+    joinAsPlayer: {},
+    spectate: {}
+};
+
+const ipLastDrop = new Map(); // client IP -> time of its last accepted drop
+
+function sendError(socket, event, code, message) {
+    socket.emit('error', { event, code, message });
+}
+
+// Register a handler that only ever sees payloads matching the event's schema
+function onEvent(socket, event, handler) {
+    socket.on(event, (data) => {
+        const { value, error } = validatePayload(EVENT_SCHEMAS[event], data);
+        if (error) {
+            sendError(socket, event, 'INVALID_PAYLOAD', error);
+            return;
+        }
+        handler(value);
+    });
+}
+
+function getClientIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (TRUST_PROXY && forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+}
+
+// Why a drop onto board is refused right now, or null if it may go ahead.
+// Kept on the player record so reconnecting doesn't reset the cooldown.
+function getDropLimitError(socket, player, board) {
+    const now = Date.now();
+    const last = player.lastDrop;
+    
+    if (last) {
+        if (now - last.at < DROP_COOLDOWN_MS) {
+            return 'Dropping too fast';
+        }
+        if (last.boardId === board.id && now - last.at < SPAWN_ZONE_MAX_WAIT_MS) {
+            // uid is null while a lag-compensated drop waits for its tick
+            const block = board.gameState.blocks.find(b => b.uid === last.uid);
+            if (last.uid === null || (block && block.y - block.radius < SPAWN_ZONE_HEIGHT)) {
+                return 'Previous fruit has not cleared the spawn zone';
+            }
+        }
+    }
+    
+    const lastIpDrop = ipLastDrop.get(getClientIp(socket));
+    if (lastIpDrop !== undefined && now - lastIpDrop < IP_DROP_COOLDOWN_MS) {
+        return 'Too many drops from this address';
+    }
+    
+    return null;
+}
+
+function recordDropForLimits(socket, player, board, uid) {
+    const now = Date.now();
+    player.lastDrop = { at: now, boardId: board.id, uid };
+    ipLastDrop.set(getClientIp(socket), now);
+    
+    // Forget addresses that have been idle past every cooldown
+    if (ipLastDrop.size > 1000) {
+        const horizon = Math.max(IP_DROP_COOLDOWN_MS, 1000);
+        ipLastDrop.forEach((at, ip) => {
+            if (now - at > horizon) ipLastDrop.delete(ip);
+        });
+    }
+}
+
+// Players - stable identity behind a session token, outliving any one socket
+const players = new Map(); // playerId -> player (connected or within the reconnect grace period)
+
+function getPlayerName(playerId) {
+    const player = players.get(playerId);
+    return player ? player.name : DEFAULT_PLAYER_NAME;
+}
+
+function setPlayerName(player, name) {
+    if (player.name === name) return;
+    player.name = name;
+    sessionStore.setName(player.id, name);
+}
+
+// Resolve a handshake token, issuing a new identity when it is missing or unknown
+function resolvePlayer(token, name) {
+    let session = sessionStore.resolveSession(token);
+    let sessionToken = token;
+    
+    if (!session) {
+        const created = sessionStore.createSession(name);
+        session = created.session;
+        sessionToken = created.token;
+    }
+    
+    let player = players.get(session.playerId);
+    if (!player) {
+        player = {
+            id: session.playerId,
+            name: session.name,
+            roomId: null,
+            matchId: null,
+            socketId: null,
+            connected: false,
+            graceTimer: null,
+            lastDrop: null
+        };
+        players.set(player.id, player);
+    }
+    
+    return { player, sessionToken };
+}
+
+function addPlayerToRoom(room, player) {
+    room.members.add(player.id);
+    player.roomId = room.id;
+    
+    // Generate personal nextFruit for this player
+    room.playerQueues.set(player.id, getRandomBlock(room.config, room.rng));
+    room.turnOrder.push(player.id);
+    
+    if (!room.hostId && !player.isBot) {
+        setHost(room, player.id);
+    }
+}
+
+// Remove a player for good: their queue, turn and role go with them
+function removePlayerFromRoom(room, player) {
+    room.members.delete(player.id);
+    player.roomId = null;
+    
+    // Clean up player's queue and the drops they were waiting on
+    room.playerQueues.delete(player.id);
+    room.scheduledDrops = room.scheduledDrops.filter(drop => drop.playerId !== player.id);
+    forgetPendingDrop(room, player);
+    
+    // Pass the turn on before leaving the rotation
+    const { turn } = room.gameState;
+    if (turn && turn.playerId === player.id) {
+        advanceTurn(room);
+    }
+    room.turnOrder = room.turnOrder.filter(id => id !== player.id);
+    if (room.gameState.turn && room.gameState.turn.playerId === player.id) {
+        startTurn(room, null);
+    }
+    
+    if (player.id === room.hostId) {
+        // Hand over to another member, preferring one who is connected; never to a bot
+        setHost(room, getConnectedPlayerIds(room)[0] || Array.from(room.members).find(id => !bots.has(id)));
+    }
+    
+    // A smaller room may now have a majority for an open vote
+    if (room.restartVote) {
+        room.restartVote.votes.delete(player.id);
+        checkRestartVote(room);
+    }
+    
+    destroyRoomIfEmpty(room);
+}
+
+// Grace period over (or kicked while away): forfeit matches and leave the room
+function expirePlayer(player) {
+    if (player.graceTimer) {
+        clearTimeout(player.graceTimer);
+        player.graceTimer = null;
+    }
+    
+    const match = matches.get(player.matchId);
+    if (match) {
+        eliminatePlayer(match, match.players.get(player.id), 'disconnected');
+    }
+    
+    const room = rooms.get(player.roomId);
+    if (room) {
+        removePlayerFromRoom(room, player);
+    }
+    
+    players.delete(player.id);
+    logger.info('Player session ended', { playerId: player.id });
+}
+
+// Bots - server-side players: a player record and queue like anyone else, dropping through
+// playerDrop on their own clock. They never hold the host role, vote or earn progress,
+// and they keep a room alive until removed (or kicked).
+// Lookahead bots think over several bot loops: each loop plays out only as many candidate
+// drops as BOT_LOOKAHEAD_TICKS allows, shared by every bot on the instance, oldest plan first.
+const BOT_LOOP_MS = 100;
+const BOT_LOOKAHEAD_TICKS = envNumber('BOT_LOOKAHEAD_TICKS', 90); // Simulated ticks per bot loop
+const MAX_BOTS_PER_ROOM = 8;
+const bots = new Map(); // playerId -> { id, roomId, difficulty, strategy, rng, nextDropAt, plan }
+let botCounter = 0;
+
+function addBot(room, { difficulty = 'medium', strategy, name } = {}) {
+    const settings = BOT_DIFFICULTIES[difficulty];
+    const id = `bot.${crypto.randomBytes(6).toString('hex')}`;
+    const player = {
+        id,
+        name: sanitizeName(name, MAX_PLAYER_NAME_LENGTH, `Bot ${++botCounter}`),
+        isBot: true,
+        roomId: null,
+        matchId: null,
+        socketId: null,
+        connected: false, // No socket: not counted for host handover, votes or player metrics
+        graceTimer: null,
+        lastDrop: null
+    };
+    const bot = {
+        id,
+        roomId: room.id,
+        difficulty,
+        strategy: strategy || settings.strategy,
+        rng: createRng(createSeed()),
+        nextDropAt: Date.now() + settings.dropIntervalMs,
+        plan: null // Lookahead in progress: { gameId, fruit, startedAt, pending, outcomes }
+    };
+    
+    players.set(id, player);
+    bots.set(id, bot);
+    addPlayerToRoom(room, player);
+    if (room.mode.turnBased && !room.gameState.turn && !room.gameState.gameOver) {
+        startTurn(room, id);
+    }
+    
+    roomLog(room).info('Bot added', { playerId: id, difficulty, strategy: bot.strategy });
+    room.emit('botJoined', describeBot(bot));
+    return bot;
+}
+
+function removeBot(bot) {
+    bots.delete(bot.id);
+    const player = players.get(bot.id);
+    players.delete(bot.id);
+    
+    const room = rooms.get(player && player.roomId);
+    if (room) {
+        roomLog(room).info('Bot removed', { playerId: bot.id });
+        room.emit('botLeft', { playerId: bot.id });
+        removePlayerFromRoom(room, player);
+    }
+}
+
+function describeBot(bot) {
+    return { playerId: bot.id, name: getPlayerName(bot.id), roomId: bot.roomId, difficulty: bot.difficulty, strategy: bot.strategy };
+}
+
+function canBotDrop(room, bot) {
+    const { gameState } = room;
+    if (gameState.gameOver || gameState.paused) return false;
+    if (room.mode.turnBased && (!gameState.turn || gameState.turn.playerId !== bot.id)) return false;
+    return true;
+}
+
+// Play a drop out on a throwaway copy of the room's board (same bodies, rng and tick):
+// a bare engine board, without the room and sync state around it
+function simulateBotDrop(room, fruit, x, ticks) {
+    const snapshot = { ...getBoardSnapshot(room), recording: { seed: room.seed, drops: [], merges: [] } };
+    const copy = createBoard(`${room.id}-lookahead`, () => {}, { seed: room.seed, mode: room.mode, config: room.config, snapshot });
+    
+    dropFruit(copy, x, 'lookahead', fruit);
+    for (let t = 0; t < ticks; t++) {
+        simulateTick(copy);
+    }
+    const topY = copy.gameState.blocks.reduce((top, block) => Math.min(top, block.y - block.radius), room.config.board.height);
+    const points = copy.gameState.score - room.gameState.score;
+    
+    destroyBoard(copy);
+    return { points, topY };
+}
+
+function getBotContext(room, bot) {
+    const fruit = room.playerQueues.get(bot.id);
+    return {
+        board: room.config.board,
+        blocks: room.gameState.blocks,
+        fruit: { level: fruit.level, radius: getRadius(fruit), powerUp: fruit.powerUp },
+        rng: bot.rng
+    };
+}
+
+// The bot's lookahead plan for the fruit it holds now; a plan for another game or another
+// fruit (a power-up may have replaced it) starts over
+function getBotPlan(room, bot, now) {
+    const fruit = room.playerQueues.get(bot.id);
+    const { plan } = bot;
+    if (plan && plan.gameId === room.gameState.gameId && plan.fruit === fruit) return plan;
+    
+    const candidates = getLookaheadCandidates(getBotContext(room, bot), BOT_DIFFICULTIES[bot.difficulty]);
+    bot.plan = { gameId: room.gameState.gameId, fruit, startedAt: now, pending: candidates, outcomes: [] };
+    return bot.plan;
+}
+
+// Play out the plan's pending candidates while the loop's budget lasts; returns what is left
+// of it. The last one started may overrun the budget, so a plan always gets somewhere.
+function thinkAhead(room, bot, budget) {
+    const { plan } = bot;
+    const ticks = BOT_DIFFICULTIES[bot.difficulty].lookaheadTicks || 45;
+    while (plan.pending.length > 0 && budget > 0) {
+        const x = plan.pending.shift();
+        plan.outcomes.push({ x, ...simulateBotDrop(room, plan.fruit, x, ticks) });
+        budget -= ticks;
+    }
+    return budget;
+}
+
+function scheduleNextBotDrop(bot, now) {
+    // Some jitter so several bots don't drop in lockstep
+    bot.nextDropAt = now + BOT_DIFFICULTIES[bot.difficulty].dropIntervalMs * (0.75 + bot.rng() * 0.5);
+    bot.plan = null;
+}
+
+function stepBots() {
+    const now = Date.now();
+    const thinking = []; // [room, bot] with a lookahead to work on
+    bots.forEach(bot => {
+        if (now < bot.nextDropAt) return;
+        
+        const player = players.get(bot.id);
+        const room = player && rooms.get(player.roomId);
+        if (!room) {
+            // Kicked by the host, or the room went away
+            removeBot(bot);
+            return;
+        }
+        
+        if (!canBotDrop(room, bot)) {
+            scheduleNextBotDrop(bot, now);
+        } else if (bot.strategy === 'lookahead') {
+            getBotPlan(room, bot, now);
+            thinking.push([room, bot]);
+        } else {
+            scheduleNextBotDrop(bot, now);
+            playerDrop(room, bot.id, chooseDropX(bot.strategy, getBotContext(room, bot)));
+        }
+    });
+    
+    let budget = BOT_LOOKAHEAD_TICKS;
+    thinking.sort(([, a], [, b]) => a.plan.startedAt - b.plan.startedAt);
+    thinking.forEach(([room, bot]) => {
+        budget = thinkAhead(room, bot, budget);
+        if (bot.plan.pending.length > 0) return; // Carries on next loop
+        
+        const x = pickLookaheadX(room.config.board, bot.plan.outcomes);
+        scheduleNextBotDrop(bot, now);
+        playerDrop(room, bot.id, x);
+    });
+}
+
+function startBotLoop() {
+    loops.push(setInterval(stepBots, BOT_LOOP_MS));
+}
+
+// WebSocket Events
+// Banned addresses are turned away before a player is resolved
+io.use((socket, next) => {
+    if (isBanned(getClientIp(socket))) {
+        next(new Error('BANNED'));
+        return;
+    }
+    next();
+});
+
+// Each room runs on one instance; a player asking for a room run elsewhere is told where
+io.use(async (socket, next) => {
+    const { query, auth } = socket.handshake;
+    const roomId = sanitizeRoomId(auth.room || query.room);
+    let owner;
+    try {
+        owner = await acquireRoom(roomId);
+    } catch (err) {
+        logger.error('Failed to look up room owner', { roomId, error: err.message });
+        next(new Error('CLUSTER_UNAVAILABLE'));
+        return;
+    }
+    
+    if (owner) {
+        const err = new Error('ROOM_OWNED_ELSEWHERE');
+        err.data = { roomId, instanceId: owner.instanceId, url: owner.url }; // Reconnect to url
+        next(err);
+        return;
+    }
+    next();
+});
+
+io.on('connection', (socket) => {
+    const { query, auth } = socket.handshake;
+    const requestedName = auth.playerName || query.playerName;
+    const { player, sessionToken } = resolvePlayer(
+        auth.sessionToken || query.sessionToken,
+        sanitizeName(requestedName, MAX_PLAYER_NAME_LENGTH, DEFAULT_PLAYER_NAME)
+    );
+    if (requestedName) {
+        setPlayerName(player, sanitizeName(requestedName, MAX_PLAYER_NAME_LENGTH, DEFAULT_PLAYER_NAME));
+    }
+    
+    // A newer connection for the same player replaces the old one
+    const previousSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+    player.socketId = socket.id;
+    player.connected = true;
+    if (previousSocket) {
+        previousSocket.emit('sessionReplaced', {});
+        previousSocket.disconnect(true);
+    } else {
+        // The old connection may be on another instance; these land after this socket joins player.id
+        io.to(player.id).except(socket.id).emit('sessionReplaced', {});
+        io.in(player.id).except(socket.id).disconnectSockets(true);
+    }
+    if (player.graceTimer) {
+        clearTimeout(player.graceTimer);
+        player.graceTimer = null;
+    }
+    
+    const roomId = sanitizeRoomId(auth.room || query.room);
+    const spectate = auth.spectate === true || query.spectate === 'true';
+    
+    // Switching rooms gives up the old seat; coming back to the same one resumes it
+    const previousRoom = rooms.get(player.roomId);
+    if (previousRoom && previousRoom.id !== roomId) {
+        removePlayerFromRoom(previousRoom, player);
+    }
+    const resumed = Boolean(player.roomId);
+    
+    const room = getOrCreateRoom(roomId, {
+        mode: auth.mode || query.mode,
+        turnSeconds: auth.turnSeconds || query.turnSeconds,
+        sprintMinutes: auth.sprintMinutes || query.sprintMinutes,
+        config: auth.config || query.config
+    });
+    
+    socket.join(room.id);
+    socket.join(player.id); // Personal events go to io.to(player.id)
+    socket.data.roomId = room.id;
+    socket.data.playerId = player.id;
+    
+    logger.info('Player connected', { playerId: player.id, socketId: socket.id, roomId: room.id, resumed, spectating: spectate });
+    
+    if (spectate) {
+        // Watching first, so giving up a resumed seat can't empty the room
+        addSpectator(room, socket.id);
+        if (resumed) {
+            removePlayerFromRoom(room, player);
+        }
+    } else if (!resumed) {
+        addPlayerToRoom(room, player);
+    }
+    
+    socket.emit('session', {
+        sessionToken,
+        playerId: player.id,
+        name: player.name,
+        resumed: resumed && !spectate,
+        spectating: spectate,
+        isHost: isHost(room, player.id)
+    });
+    
+    socket.emit('gameState', {
+        ...getKeyframePayload(room),
+        nextFruit: room.playerQueues.get(player.id)
+    });
+    
+    if (!spectate && room.mode.turnBased && !room.gameState.turn && !room.gameState.gameOver) {
+        startTurn(room, player.id);
+    }
+    
+    socket.emit('chatHistory', { messages: room.chatHistory });
+    
+    // If game is already over, send gameOver event so client shows the screen
+    if (room.gameState.gameOver) {
+        socket.emit('gameOver', getGameOverPayload(room));
+    }
+    
+    // Or catch up with a game over countdown that is already running
+    const danger = getDangerStatus(room);
+    if (danger) {
+        socket.emit('dangerTick', danger);
+    }
+    
+    // Back into a versus match that is still running
+    const activeMatch = matches.get(player.matchId);
+    if (activeMatch) {
+        socket.join(activeMatch.id);
+        socket.emit('versusState', getMatchState(activeMatch));
+    }
+    
+    // Game-changing events need a seat in the room
+    const onPlayerEvent = (event, handler) => onEvent(socket, event, (data) => {
+        if (player.roomId !== room.id) {
+            sendError(socket, event, 'SPECTATING', 'Spectators cannot do that; join as a player first');
+            return;
+        }
+        handler(data);
+    });
+    
+    onEvent(socket, 'joinAsPlayer', () => {
+        if (player.roomId === room.id) {
+            sendError(socket, 'joinAsPlayer', 'ALREADY_PLAYING', 'Already playing in this room');
+            return;
+        }
+        
+        room.spectators.delete(socket.id);
+        addPlayerToRoom(room, player);
+        emitSpectatorCount(room);
+        roomLog(room).info('Spectator joined as a player', { playerId: player.id });
+        
+        socket.emit('roleChanged', { spectating: false, isHost: isHost(room, player.id) });
+        socket.emit('personalNextFruit', { nextFruit: room.playerQueues.get(player.id) });
+        if (room.mode.turnBased && !room.gameState.turn && !room.gameState.gameOver) {
+            startTurn(room, player.id);
+        }
+    });
+    
+    onPlayerEvent('spectate', () => {
+        addSpectator(room, socket.id);
+        removePlayerFromRoom(room, player);
+        leaveVersusQueue(player.id);
+        roomLog(room).info('Player is now spectating', { playerId: player.id });
+        
+        socket.emit('roleChanged', { spectating: true, isHost: false });
+    });
+    
+    onPlayerEvent('dropFruit', (data) => {
+        const { gameState } = room;
+        if (gameState.gameOver) {
+            sendError(socket, 'dropFruit', 'GAME_OVER', 'Game is over');
+            return;
+        }
+        
+        if (gameState.paused) {
+            sendError(socket, 'dropFruit', 'PAUSED', 'Game is paused');
+            return;
+        }
+        
+        if (room.mode.turnBased && (!gameState.turn || gameState.turn.playerId !== player.id)) {
+            sendError(socket, 'dropFruit', 'NOT_YOUR_TURN', 'Not your turn');
+            return;
+        }
+        
+        if (room.mode.turnBased && hasScheduledDrop(room, player.id)) {
+            sendError(socket, 'dropFruit', 'DROP_PENDING', 'Your drop for this turn is already on its way');
+            return;
+        }
+        
+        const limitError = getDropLimitError(socket, player, room);
+        if (limitError) {
+            sendError(socket, 'dropFruit', 'RATE_LIMITED', limitError);
+            return;
+        }
+        
+        const { x, tick, playerName } = data;
+        if (playerName !== undefined) {
+            setPlayerName(player, sanitizeName(playerName, MAX_PLAYER_NAME_LENGTH, DEFAULT_PLAYER_NAME));
+        }
+        
+        const targetTick = getDropTargetTick(room, tick);
+        const block = scheduleDrop(room, player.id, x, targetTick);
+        recordDropForLimits(socket, player, room, block ? block.uid : null);
+        socket.emit('dropAccepted', { tick: targetTick, intendedTick: tick });
+    });
+    
+    // Clock sync: with rtt = receivedAt - clientTime, the client's estimate of the server
+    // clock offset is serverTime + rtt / 2 - receivedAt; tick anchors room time to it
+    onEvent(socket, 'clockPing', ({ clientTime }) => {
+        socket.emit('clockPong', {
+            clientTime,
+            serverTime: Date.now(),
+            tick: room.tick,
+            tickMs: TICK_MS
+        });
+    });
+    
+    // Client missed a delta (baseSeq did not match its seq)
+    onEvent(socket, 'requestResync', () => {
+        socket.emit('gameState', getKeyframePayload(room));
+    });
+    
+    // The host, or anyone once the game is over, restarts right away; otherwise it's a vote
+    onPlayerEvent('restart', (options) => {
+        if (isHost(room, player.id) || room.gameState.gameOver) {
+            restartRoom(room, options);
+        } else if (room.restartVote) {
+            castRestartVote(room, player.id, true);
+        } else {
+            startRestartVote(room, player.id, options);
+        }
+    });
+    
+    onPlayerEvent('voteRestart', ({ yes }) => {
+        if (!room.restartVote) {
+            sendError(socket, 'voteRestart', 'NO_VOTE', 'No restart vote in progress');
+            return;
+        }
+        castRestartVote(room, player.id, yes);
+    });
+    
+    onPlayerEvent('pause', () => {
+        if (!isHost(room, player.id)) {
+            sendError(socket, 'pause', 'NOT_HOST', 'Only the host can pause');
+            return;
+        }
+        setPaused(room, true, player.id);
+    });
+    
+    onPlayerEvent('resume', () => {
+        if (!isHost(room, player.id)) {
+            sendError(socket, 'resume', 'NOT_HOST', 'Only the host can resume');
+            return;
+        }
+        setPaused(room, false, player.id);
+    });
+    
+    onPlayerEvent('kick', ({ playerId }) => {
+        if (!isHost(room, player.id)) {
+            sendError(socket, 'kick', 'NOT_HOST', 'Only the host can kick players');
+            return;
+        }
+        if (playerId === player.id || !kickPlayer(room, playerId, player.id)) {
+            sendError(socket, 'kick', 'INVALID_TARGET', 'No such player in this room');
+        }
+    });
+    
+    // Chat & Emotes - spectators may talk too
+    onEvent(socket, 'chat', ({ text }) => {
+        const message = sanitizeName(text, MAX_CHAT_LENGTH, '');
+        if (!message) {
+            sendError(socket, 'chat', 'INVALID_PAYLOAD', 'Message is empty');
+            return;
+        }
+        if (isMuted(room, player.id)) {
+            sendError(socket, 'chat', 'MUTED', 'You are muted in this room');
+            return;
+        }
+        const limitError = getChatLimitError(socket);
+        if (limitError) {
+            sendError(socket, 'chat', 'RATE_LIMITED', limitError);
+            return;
+        }
+        postChatMessage(room, player, message);
+    });
+    
+    onEvent(socket, 'emote', ({ emote }) => {
+        if (isMuted(room, player.id)) {
+            sendError(socket, 'emote', 'MUTED', 'You are muted in this room');
+            return;
+        }
+        const now = Date.now();
+        if (socket.data.lastEmoteAt && now - socket.data.lastEmoteAt < EMOTE_COOLDOWN_MS) {
+            sendError(socket, 'emote', 'RATE_LIMITED', 'Sending emotes too fast');
+            return;
+        }
+        socket.data.lastEmoteAt = now;
+        room.emit('emote', { playerId: player.id, name: player.name, emote });
+    });
+    
+    onPlayerEvent('mute', ({ playerId, minutes }) => {
+        if (!isHost(room, player.id)) {
+            sendError(socket, 'mute', 'NOT_HOST', 'Only the host can mute players');
+            return;
+        }
+        if (playerId === player.id || !mutePlayer(room, playerId, minutes || DEFAULT_MUTE_MINUTES, player.id)) {
+            sendError(socket, 'mute', 'INVALID_TARGET', 'No such player in this room');
+        }
+    });
+    
+    onPlayerEvent('unmute', ({ playerId }) => {
+        if (!isHost(room, player.id)) {
+            sendError(socket, 'unmute', 'NOT_HOST', 'Only the host can unmute players');
+            return;
+        }
+        if (!unmutePlayer(room, playerId, player.id)) {
+            sendError(socket, 'unmute', 'INVALID_TARGET', 'That player is not muted');
+        }
+    });
+    
+    // Versus
+    onPlayerEvent('joinVersusQueue', (data) => {
+        if (player.matchId) {
+            sendError(socket, 'joinVersusQueue', 'ALREADY_IN_MATCH', 'Already in a versus match');
+            return;
+        }
+        if (data.playerName !== undefined) {
+            setPlayerName(player, sanitizeName(data.playerName, MAX_PLAYER_NAME_LENGTH, DEFAULT_PLAYER_NAME));
+        }
+        joinVersusQueue(player.id, data.size || VERSUS_SIZES[0], player.name);
+    });
+    
+    onEvent(socket, 'leaveVersusQueue', () => {
+        leaveVersusQueue(player.id);
+    });
+    
+    onEvent(socket, 'versusDrop', (data) => {
+        const board = getVersusBoard(matches.get(player.matchId), player.id);
+        if (!board) {
+            sendError(socket, 'versusDrop', 'NOT_IN_MATCH', 'Not in an active versus match');
+            return;
+        }
+        
+        const limitError = getDropLimitError(socket, player, board);
+        if (limitError) {
+            sendError(socket, 'versusDrop', 'RATE_LIMITED', limitError);
+            return;
+        }
+        
+        const block = versusDrop(board, player.id, data.x);
+        recordDropForLimits(socket, player, board, block.uid);
+    });
+    
+    onEvent(socket, 'requestVersusResync', () => {
+        const match = matches.get(player.matchId);
+        if (match) {
+            socket.emit('versusState', getMatchState(match));
+        }
+    });
+    
+    socket.on('disconnect', () => {
+        logger.info('Player disconnected', { playerId: player.id, socketId: socket.id, roomId: room.id });
+        
+        removeSpectator(room, socket.id);
+        
+        // Replaced by a newer connection for the same player
+        if (player.socketId !== socket.id) return;
+        
+        player.socketId = null;
+        player.connected = false;
+        leaveVersusQueue(player.id);
+        
+        // Kicked or moved away: nothing to hold on to
+        if (!player.roomId) {
+            expirePlayer(player);
+            return;
+        }
+        
+        // Absent players don't count toward the restart majority
+        if (room.restartVote) {
+            room.restartVote.votes.delete(player.id);
+            checkRestartVote(room);
+        }
+        
+        // Keep the seat (queue, turn, host role, versus board) for a while
+        player.graceTimer = setTimeout(() => expirePlayer(player), SESSION_GRACE_MS);
+        room.emit('playerDisconnected', { playerId: player.id, graceMs: SESSION_GRACE_MS });
+    });
+});
+
+// Health check endpoint
+app.get('/', (req, res) => {
+    res.json({
+        status: 'running',
+        instanceId: INSTANCE_ID, // Everything below is this instance's share
+        players: Array.from(rooms.values()).reduce((sum, room) => sum + getConnectedPlayerIds(room).length, 0),
+        spectators: Array.from(rooms.values()).reduce((sum, room) => sum + getSpectatorCount(room), 0),
+        versusMatches: matches.size,
+        versusQueued: Array.from(versusQueues.values()).reduce((sum, queue) => sum + queue.length, 0),
+        rooms: Array.from(rooms.values()).map(room => ({
+            id: room.id,
+            mode: room.mode.name,
+            config: room.config.name,
+            players: getConnectedPlayerIds(room).length,
+            spectators: getSpectatorCount(room),
+            blocks: room.gameState.blocks.length,
+            score: room.gameState.score,
+            gameOver: room.gameState.gameOver
+        }))
+    });
+});
+
+// Read-only live feed over Server-Sent Events, for overlays that don't speak socket.io.
+// Starts with a gameState keyframe, then carries the same events as the room's sockets.
+app.get('/rooms/:roomId/feed', async (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+        if (await redirectToRoomOwner(req, res, req.params.roomId)) return;
+        res.status(404).json({ error: 'Room not found' });
+        return;
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    writeFeedEvent(res, 'gameState', getKeyframePayload(room));
+    if (room.gameState.gameOver) {
+        writeFeedEvent(res, 'gameOver', getGameOverPayload(room));
+    }
+    
+    room.feeds.add(res);
+    emitSpectatorCount(room);
+    roomLog(room).info('Feed opened', { feeds: room.feeds.size });
+    
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), FEED_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        room.feeds.delete(res);
+        emitSpectatorCount(room);
+        destroyRoomIfEmpty(room);
+    });
+});
+
+// Which instance runs a room, for clients and load balancers choosing where to connect.
+// A room nobody runs yet has no owner: any instance will take it.
+app.get('/rooms/:roomId/owner', async (req, res) => {
+    const roomId = sanitizeRoomId(req.params.roomId);
+    try {
+        const owner = await ownership.getOwner(roomId);
+        res.json({ roomId, instanceId: owner ? owner.instanceId : null, url: owner ? owner.url : null });
+    } catch (err) {
+        logger.error('Failed to look up room owner', { roomId, error: err.message });
+        res.status(503).json({ error: 'Room ownership is unavailable' });
+    }
+});
+
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Leaderboard & History
+app.get('/leaderboard', (req, res) => {
+    res.json({
+        games: historyStore.getLeaderboard({
+            limit: req.query.limit,
+            roomId: req.query.room,
+            mode: req.query.mode
+        })
+    });
+});
+
+app.get('/history', (req, res) => {
+    res.json({
+        games: historyStore.listGames({
+            limit: req.query.limit,
+            offset: req.query.offset,
+            roomId: req.query.room,
+            mode: req.query.mode
+        })
+    });
+});
+
+app.get('/history/:id', (req, res) => {
+    const game = historyStore.getGame(req.params.id);
+    if (!game) {
+        res.status(404).json({ error: 'Game not found' });
+        return;
+    }
+    res.json(game);
+});
+
+// Progression
+app.get('/players/:id/progress', (req, res) => {
+    const progress = progressStore.getProgress(req.params.id);
+    if (!progress) {
+        res.status(404).json({ error: 'No progress for this player' });
+        return;
+    }
+    res.json(describeProgress(req.params.id, progress));
+});
+
+app.get('/daily', (req, res) => {
+    const { date, seed, goal } = getDailyChallenge();
+    res.json({ date, seed, goal, roomId: DAILY_ROOM_ID });
+});
+
+// Replays
+app.get('/replays/:gameId', (req, res) => {
+    const recording = replayStore.getReplay(req.params.gameId);
+    if (!recording) {
+        res.status(404).json({ error: 'Replay not found' });
+        return;
+    }
+    res.json(recording);
+});
+
+// Game config for clients to render with: a room's (?room=) or the server default
+app.get('/config', (req, res) => {
+    const room = rooms.get(req.query.room);
+    res.json(room ? room.config : getGameConfig());
+});
+
+app.get('/config/:name', (req, res) => {
+    const config = gameConfigs.get(req.params.name);
+    if (!config) {
+        res.status(404).json({ error: 'Config not found', available: Array.from(gameConfigs.keys()) });
+        return;
+    }
+    res.json(config);
+});
+
+// Admin API - operator controls, authorized with "Authorization: Bearer <ADMIN_TOKEN>".
+// Actions show up to clients as done by ADMIN_ID; without ADMIN_TOKEN every route is a 404.
+const ADMIN_ID = 'admin';
+const bans = new Map(); // client IP -> { until (null = permanent), reason, bannedAt }
+
+const ADMIN_SCHEMAS = {
+    restart: EVENT_SCHEMAS.restart,
+    ban: {
+        ip: { type: 'string', maxLength: 64 },
+        socketId: { type: 'string', maxLength: 64 },
+        minutes: { type: 'number', min: 1 }, // Omitted: until unbanned
+        reason: { type: 'string', maxLength: 200 }
+    },
+    addBot: {
+        difficulty: { type: 'string', oneOf: Object.keys(BOT_DIFFICULTIES) },
+        strategy: { type: 'string', oneOf: BOT_STRATEGIES }, // Overrides the difficulty's default
+        name: PLAYER_NAME_RULE
+    },
+    announcement: {
+        message: { type: 'string', required: true, maxLength: 500 },
+        roomId: { type: 'string', maxLength: MAX_ROOM_ID_LENGTH } // Omitted: every connected socket
+    }
+};
+
+function isBanned(ip) {
+    const ban = bans.get(ip);
+    if (!ban) return false;
+    if (ban.until === null || Date.now() < ban.until) return true;
+    bans.delete(ip);
+    return false;
+}
+
+// Record a ban and drop the address's sockets on this instance; returns how many were dropped
+function applyBan(ip, ban) {
+    bans.set(ip, ban);
+    
+    const dropped = Array.from(io.sockets.sockets.values()).filter(socket => getClientIp(socket) === ip);
+    dropped.forEach(socket => {
+        socket.emit('banned', { reason: ban.reason, until: ban.until });
+        socket.disconnect(true);
+    });
+    return dropped.length;
+}
+
+function writeAnnouncementToFeeds(announcement) {
+    rooms.forEach(room => room.feeds.forEach(feed => writeFeedEvent(feed, 'announcement', announcement)));
+}
+
+function hashAdminToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
+
+function requireAdminToken(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        res.status(404).json({ error: 'Admin API is disabled' });
+        return;
+    }
+    // Compare hashes so the check takes the same time whatever the token's length
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    if (!match || !crypto.timingSafeEqual(hashAdminToken(match[1]), hashAdminToken(ADMIN_TOKEN))) {
+        res.status(401).json({ error: 'Invalid admin token' });
+        return;
+    }
+    next();
+}
+
+// Validated JSON body, or a 400 naming the problem
+function readAdminBody(req, res, schema) {
+    const { value, error } = validatePayload(schema, req.body);
+    if (error) {
+        res.status(400).json({ error });
+        return null;
+    }
+    return value;
+}
+
+function describeSocket(socket) {
+    const room = rooms.get(socket.data.roomId);
+    const { playerId } = socket.data;
+    return {
+        socketId: socket.id,
+        playerId: playerId || null,
+        name: playerId ? getPlayerName(playerId) : null,
+        ip: getClientIp(socket),
+        roomId: socket.data.roomId || null,
+        spectating: room ? room.spectators.has(socket.id) : false,
+        isHost: room ? isHost(room, playerId) : false,
+        nextFruit: room ? room.playerQueues.get(playerId) || null : null,
+        connectedAt: socket.handshake.issued
+    };
+}
+
+// Everything the room knows, Matter bodies included
+function getRoomDump(room) {
+    const bodies = Array.from(room.bodiesMap, ([uid, body]) => ({
+        uid,
+        id: body.id,
+        label: body.label,
+        position: { x: body.position.x, y: body.position.y },
+        velocity: { x: body.velocity.x, y: body.velocity.y },
+        angle: body.angle,
+        angularVelocity: body.angularVelocity,
+        speed: body.speed,
+        circleRadius: body.circleRadius,
+        mass: body.mass,
+        density: body.density,
+        friction: body.friction,
+        frictionAir: body.frictionAir,
+        restitution: body.restitution,
+        isStatic: body.isStatic,
+        isSleeping: body.isSleeping
+    }));
+    
+    return {
+        roomId: room.id,
+        mode: room.mode,
+        config: room.config.name,
+        seed: room.seed,
+        tick: room.tick,
+        hostId: room.hostId,
+        members: Array.from(room.members),
+        spectators: getSpectatorCount(room),
+        scheduledDrops: room.scheduledDrops,
+        comboCount: room.comboCount,
+        gameState: room.gameState,
+        bodies
+    };
+}
+
+const admin = express.Router();
+admin.use(requireAdminToken);
+admin.use(express.json({ limit: '16kb' }));
+
+// Rooms run by another instance are redirected to it
+admin.param('roomId', async (req, res, next, roomId) => {
+    req.room = rooms.get(roomId);
+    if (!req.room) {
+        if (await redirectToRoomOwner(req, res, roomId)) return;
+        res.status(404).json({ error: 'Room not found' });
+        return;
+    }
+    next();
+});
+
+// This instance's sockets
+admin.get('/sockets', (req, res) => {
+    const sockets = Array.from(io.sockets.sockets.values())
+        .filter(socket => !req.query.room || socket.data.roomId === req.query.room)
+        .map(describeSocket);
+    res.json({ instanceId: INSTANCE_ID, sockets });
+});
+
+admin.get('/rooms/:roomId/state', (req, res) => {
+    res.json(getRoomDump(req.room));
+});
+
+admin.post('/rooms/:roomId/restart', (req, res) => {
+    const options = readAdminBody(req, res, ADMIN_SCHEMAS.restart);
+    if (!options) return;
+    
+    logger.info('Admin restarted room', { roomId: req.room.id, options });
+    restartRoom(req.room, Object.keys(options).length > 0 ? options : undefined);
+    res.json({ ok: true, mode: req.room.mode.name, config: req.room.config.name });
+});
+
+admin.post('/rooms/:roomId/end', (req, res) => {
+    if (req.room.gameState.gameOver) {
+        res.status(409).json({ error: 'Game is already over' });
+        return;
+    }
+    logger.info('Admin ended game', { roomId: req.room.id });
+    endGame(req.room, 'admin');
+    res.json({ ok: true, gameId: req.room.gameState.gameId });
+});
+
+admin.post('/rooms/:roomId/pause', (req, res) => {
+    setPaused(req.room, true, ADMIN_ID);
+    res.json({ ok: true, paused: true });
+});
+
+admin.post('/rooms/:roomId/resume', (req, res) => {
+    setPaused(req.room, false, ADMIN_ID);
+    res.json({ ok: true, paused: false });
+});
+
+// A seated player is kicked from their room; anyone else is just disconnected
+admin.post('/sockets/:socketId/kick', (req, res) => {
+    const socket = io.sockets.sockets.get(req.params.socketId);
+    if (!socket) {
+        res.status(404).json({ error: 'Socket not found' });
+        return;
+    }
+    
+    logger.info('Admin kicked socket', { socketId: socket.id, playerId: socket.data.playerId });
+    const room = rooms.get(socket.data.roomId);
+    if (!room || !kickPlayer(room, socket.data.playerId, ADMIN_ID)) {
+        socket.emit('kicked', { by: ADMIN_ID });
+        socket.disconnect(true);
+    }
+    res.json({ ok: true });
+});
+
+admin.get('/rooms/:roomId/bots', (req, res) => {
+    res.json({ bots: Array.from(bots.values()).filter(bot => bot.roomId === req.room.id).map(describeBot) });
+});
+
+admin.post('/rooms/:roomId/bots', (req, res) => {
+    const options = readAdminBody(req, res, ADMIN_SCHEMAS.addBot);
+    if (!options) return;
+    
+    if (Array.from(bots.values()).filter(bot => bot.roomId === req.room.id).length >= MAX_BOTS_PER_ROOM) {
+        res.status(409).json({ error: `A room can have at most ${MAX_BOTS_PER_ROOM} bots` });
+        return;
+    }
+    res.json(describeBot(addBot(req.room, options)));
+});
+
+admin.delete('/rooms/:roomId/bots/:botId', (req, res) => {
+    const bot = bots.get(req.params.botId);
+    if (!bot || bot.roomId !== req.room.id) {
+        res.status(404).json({ error: 'Bot not found' });
+        return;
+    }
+    removeBot(bot);
+    res.json({ ok: true });
+});
+
+// Re-simulates the recording and compares it with what was recorded live. That takes a
+// worker thread a while for a long game, so one verification runs at a time.
+let verifyingReplay = false;
+
+admin.get('/replays/:gameId/verify', async (req, res) => {
+    const recording = replayStore.getReplay(req.params.gameId);
+    if (!recording) {
+        res.status(404).json({ error: 'Replay not found' });
+        return;
+    }
+    if (verifyingReplay) {
+        res.status(503).json({ error: 'Another replay is being verified' });
+        return;
+    }
+    
+    verifyingReplay = true;
+    try {
+        const result = await verifyReplay(recording, getGameConfig());
+        const mergesMatch = JSON.stringify(result.merges) === JSON.stringify(recording.merges);
+        res.json({
+            gameId: recording.gameId,
+            recordedScore: recording.score,
+            replayedScore: result.score,
+            recordedMerges: recording.merges.length,
+            replayedMerges: result.merges.length,
+            resumedAt: recording.resumedAt || [],
+            matches: mergesMatch && result.score === recording.score
+        });
+    } catch (err) {
+        logger.error('Failed to verify replay', { gameId: recording.gameId, error: err.message });
+        res.status(500).json({ error: 'Replay verification failed' });
+    } finally {
+        verifyingReplay = false;
+    }
+});
+
+admin.get('/bans', (req, res) => {
+    res.json({ bans: Array.from(bans, ([ip, ban]) => ({ ip, ...ban })).filter(ban => isBanned(ban.ip)) });
+});
+
+// Ban an address, given directly or as the address of a connected socket, and drop its sockets
+admin.post('/bans', (req, res) => {
+    const body = readAdminBody(req, res, ADMIN_SCHEMAS.ban);
+    if (!body) return;
+    
+    const target = body.socketId && io.sockets.sockets.get(body.socketId);
+    if (body.socketId && !target) {
+        res.status(404).json({ error: 'Socket not found' });
+        return;
+    }
+    const ip = target ? getClientIp(target) : body.ip;
+    if (!ip) {
+        res.status(400).json({ error: 'ip or socketId is required' });
+        return;
+    }
+    
+    const ban = {
+        until: body.minutes ? Date.now() + body.minutes * 60000 : null,
+        reason: body.reason || null,
+        bannedAt: Date.now()
+    };
+    const disconnected = applyBan(ip, ban);
+    io.serverSideEmit('adminBan', ip, ban);
+    
+    logger.info('Admin banned address', { ip, minutes: body.minutes || null, disconnected });
+    res.json({ ok: true, ip, ...ban, disconnected });
+});
+
+admin.delete('/bans/:ip', (req, res) => {
+    if (!bans.delete(req.params.ip)) {
+        res.status(404).json({ error: 'Address is not banned' });
+        return;
+    }
+    io.serverSideEmit('adminUnban', req.params.ip);
+    logger.info('Admin lifted ban', { ip: req.params.ip });
+    res.json({ ok: true });
+});
+
+admin.post('/announcements', async (req, res) => {
+    const body = readAdminBody(req, res, ADMIN_SCHEMAS.announcement);
+    if (!body) return;
+    
+    const room = body.roomId && rooms.get(body.roomId);
+    if (body.roomId && !room) {
+        if (await redirectToRoomOwner(req, res, body.roomId)) return;
+        res.status(404).json({ error: 'Room not found' });
+        return;
+    }
+    
+    const announcement = { message: body.message, sentAt: Date.now() };
+    if (room) {
+        room.emit('announcement', announcement);
+    } else {
+        // Sockets everywhere hear it through the adapter; other instances' feeds through adminAnnouncement
+        io.emit('announcement', announcement);
+        io.serverSideEmit('adminAnnouncement', announcement);
+        writeAnnouncementToFeeds(announcement);
+    }
+    
+    logger.info('Admin announcement', { roomId: body.roomId || null, message: body.message });
+    res.json({ ok: true });
+});
+
+// Bodies express.json() refuses get the same { error } shape as every other admin reply
+admin.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        res.status(400).json({ error: 'Body is not valid JSON' });
+    } else if (err.type === 'entity.too.large') {
+        res.status(413).json({ error: 'Body is too large' });
+    } else {
+        next(err);
+    }
+});
+
+// Bans and announcements made through another instance's admin API
+io.on('adminBan', (ip, ban) => applyBan(ip, ban));
+io.on('adminUnban', ip => bans.delete(ip));
+io.on('adminAnnouncement', announcement => writeAnnouncementToFeeds(announcement));
+
+app.use('/admin', admin);
+
+// Start Server - listens and starts the loops. Runs when this file is run directly;
+// tests start it on port 0 (any free port) and stop() it, and the benchmarks only
+// require it for its simulation. Resolves to the port listened on; rejects if the stored
+// sessions or progress can't be read, rather than save over them later.
+async function start({ port = PORT } = {}) {
+    historyStore.load();
+    await Promise.all([sessionStore.load(), progressStore.load()]);
+    
+    // Broadcasts, socket lookups and server-side events reach every instance on the broker
+    io.adapter(createBrokerAdapter(broker));
+    
+    return new Promise((resolve) => {
+        server.listen(port, () => {
+            const listening = server.address().port;
+            logger.info('Server listening', { port: listening, instanceId: INSTANCE_ID, configs: Array.from(gameConfigs.keys()), defaultConfig: DEFAULT_GAME_CONFIG });
+            startClusterLoop();
+            startPhysicsLoop();
+            startBroadcastLoop();
+            startSnapshotLoop();
+            startBotLoop();
+            logger.info('Server ready for connections');
+            resolve(listening);
+        });
+    });
+}
+
+if (require.main === module) {
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    start().catch((err) => {
+        logger.error('Failed to start', { error: err.message });
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    start,
+    stop,
+    buildRoom,
+    dropFruit,
+    simulateTick,
+    getGameConfig,
+    getFruitByLevel
+};
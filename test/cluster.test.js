@@ -0,0 +1,178 @@
+// Cluster pieces: the memory broker, room leases and the socket.io adapter, with two
+// simulated instances sharing one broker in this process
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { createMemoryBroker } = require('../lib/broker');
+const { createRoomOwnership } = require('../lib/roomOwnership');
+const { createBrokerAdapter } = require('../lib/clusterAdapter');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const LEASE_MS = 60;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls until check() holds, or fails after timeoutMs
+async function eventually(check, timeoutMs = 2000) {
+    const giveUpAt = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > giveUpAt) assert.fail('Condition not met in time');
+        await wait(10);
+    }
+}
+
+function createInstances(broker) {
+    return ['a', 'b'].map(instanceId => createRoomOwnership(broker, {
+        instanceId,
+        url: `http://${instanceId}.example`,
+        leaseMs: LEASE_MS
+    }));
+}
+
+test('memory broker keys expire and only change hands on a matching value', async () => {
+    const broker = createMemoryBroker();
+    
+    assert.strictEqual(await broker.setIfAbsent('lease', 'a', LEASE_MS), true);
+    assert.strictEqual(await broker.setIfAbsent('lease', 'b', LEASE_MS), false);
+    assert.strictEqual(await broker.renewIfEqual('lease', 'b', LEASE_MS), false);
+    assert.strictEqual(await broker.renewIfEqual('lease', 'a', LEASE_MS), true);
+    
+    await broker.deleteIfEqual('lease', 'b');
+    assert.strictEqual(await broker.get('lease'), 'a');
+    await broker.deleteIfEqual('lease', 'a');
+    assert.strictEqual(await broker.get('lease'), null);
+    
+    await broker.set('key', 'value', LEASE_MS);
+    await wait(LEASE_MS + 10);
+    assert.strictEqual(await broker.get('key'), null);
+    assert.strictEqual(await broker.setIfAbsent('key', 'b', LEASE_MS), true);
+});
+
+test('memory broker delivers to every subscriber on a later turn', async () => {
+    const broker = createMemoryBroker();
+    const received = [];
+    await broker.subscribe('channel', message => received.push(['a', message]));
+    await broker.subscribe('channel', message => received.push(['b', message]));
+    await broker.subscribe('other', message => received.push(['other', message]));
+    
+    await broker.publish('channel', 'hello');
+    assert.deepStrictEqual(received, []);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(received, [['a', 'hello'], ['b', 'hello']]);
+});
+
+test('a subscriber that throws keeps the others and the process going', async () => {
+    const broker = createMemoryBroker();
+    const received = [];
+    await broker.subscribe('channel', () => {
+        throw new Error('bad subscriber');
+    });
+    await broker.subscribe('channel', message => received.push(message));
+    
+    await broker.publish('channel', 'hello');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(received, ['hello']);
+});
+
+test('a room leased by one instance is refused to the other, which is told the owner', async () => {
+    const [a, b] = createInstances(createMemoryBroker());
+    a.start(() => {});
+    
+    assert.strictEqual(await a.claim('room'), true);
+    assert.strictEqual(await b.claim('room'), false);
+    
+    // Renewals keep it well past the lease period
+    await wait(LEASE_MS * 3);
+    assert.strictEqual(await b.claim('room'), false);
+    assert.deepStrictEqual(await b.getOwner('room'), { instanceId: 'a', url: 'http://a.example' });
+    
+    // Letting go on shutdown frees it at once
+    await a.stop();
+    assert.strictEqual(await b.getOwner('room'), null);
+    assert.strictEqual(await b.claim('room'), true);
+    await b.stop();
+});
+
+test('the rooms of an instance that died are taken over once their leases run out', async () => {
+    const [a, b] = createInstances(createMemoryBroker());
+    // a claims and then never renews, as if it had died
+    assert.strictEqual(await a.claim('room'), true);
+    assert.strictEqual(await b.claim('room'), false);
+    
+    await wait(LEASE_MS + 10);
+    assert.strictEqual(await b.claim('room'), true);
+    assert.strictEqual((await b.getOwner('room')).instanceId, 'b');
+    
+    // a coming back to life finds it gone on its next renewal
+    const lost = [];
+    a.start(roomId => lost.push(roomId));
+    await eventually(() => lost.length > 0);
+    assert.deepStrictEqual(lost, ['room']);
+    assert.strictEqual((await a.getOwner('room')).instanceId, 'b');
+    
+    await Promise.all([a.stop(), b.stop()]);
+    assert.strictEqual(await b.getOwner('room'), null);
+});
+
+// Two socket.io servers on one broker, each with a connected client
+async function startCluster(t, broker = createMemoryBroker()) {
+    const instances = await Promise.all(['a', 'b'].map(async (name) => {
+        const httpServer = http.createServer();
+        const io = new Server(httpServer);
+        io.adapter(createBrokerAdapter(broker));
+        io.on('connection', socket => socket.join('room'));
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        
+        const client = connect(`http://localhost:${httpServer.address().port}`, { transports: ['websocket'], forceNew: true, reconnection: false });
+        await new Promise(resolve => io.once('connection', resolve));
+        return { name, io, client };
+    }));
+    t.after(async () => {
+        instances.forEach(({ client }) => client.disconnect());
+        await Promise.all(instances.map(({ io }) => new Promise(resolve => io.close(() => resolve()))));
+        await broker.close();
+    });
+    
+    // Each has to have heard the other's heartbeat before requests wait for its answer
+    await eventually(async () => (await Promise.all(instances.map(({ io }) => io.of('/').adapter.serverCount()))).every(count => count === 2));
+    return instances;
+}
+
+test('broadcasts from one instance reach clients connected to the other', async (t) => {
+    const [a, b] = await startCluster(t);
+    
+    const received = Promise.all([a, b].map(({ client }) => new Promise(resolve => client.once('news', resolve))));
+    a.io.to('room').emit('news', { from: 'a' });
+    
+    assert.deepStrictEqual(await received, [{ from: 'a' }, { from: 'a' }]);
+});
+
+test('unreadable messages on the adapter channel are dropped', async (t) => {
+    const broker = createMemoryBroker();
+    const [a, b] = await startCluster(t, broker);
+    
+    await broker.publish('suikiii#/#', '{"type": 4, "da');
+    await broker.publish('suikiii#/#', 'null');
+    const received = new Promise(resolve => b.client.once('news', resolve));
+    a.io.to('room').emit('news', { from: 'a' });
+    assert.deepStrictEqual(await received, { from: 'a' });
+});
+
+test('socket lookups and server-side events span both instances', async (t) => {
+    const [a, b] = await startCluster(t);
+    
+    const sockets = await a.io.in('room').fetchSockets();
+    assert.deepStrictEqual(sockets.map(socket => socket.id).sort(), [a.client.id, b.client.id].sort());
+    
+    const heard = new Promise(resolve => b.io.on('adminBan', (ip, ban) => resolve({ ip, ban })));
+    a.io.serverSideEmit('adminBan', '10.0.0.1', { reason: 'test' });
+    assert.deepStrictEqual(await heard, { ip: '10.0.0.1', ban: { reason: 'test' } });
+    
+    // Sockets on the other instance can be disconnected from here too
+    const disconnected = new Promise(resolve => b.client.once('disconnect', resolve));
+    a.io.in('room').except(a.client.id).disconnectSockets(true);
+    await disconnected;
+});
@@ -0,0 +1,337 @@
+// Game engine: boards stepped by hand with an injected rng and clock
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadGameConfigs } = require('../lib/gameConfig');
+const { createGame, getGameOverRules, getFruitByLevel, getPowerUpBlock, getBoardSnapshot, TICK_MS } = require('../lib/gameEngine');
+
+const DANGER_TICK_INTERVAL = 60; // Ticks between dangerTick reports
+
+const configs = loadGameConfigs(path.join(__dirname, '..', 'config'));
+const config = configs.get('classic');
+const SETTLE_TICKS = 240; // Long enough for a drop to land and come to rest
+
+// A line just above the floor: anything resting on it is over the line
+function lowLineConfig(gameOver = {}) {
+    return {
+        ...config,
+        board: { ...config.board, gameOverLine: config.board.height - 10 },
+        gameOver: { ...config.gameOver, ...gameOver }
+    };
+}
+
+// rng: () => 0 always picks the first spawn weight, so every drop is a level 1 fruit
+function createTestGame(options = {}) {
+    const events = [];
+    const game = createGame({
+        config,
+        rng: () => 0,
+        clock: { now: () => 1000 },
+        onEvent: (event, data) => events.push({ event, data, tick: game.tick }),
+        ...options
+    });
+    game.events = events;
+    game.merges = () => events.filter(({ event }) => event === 'merge').map(({ data }) => data);
+    game.dangerEvents = () => events.filter(({ event }) => event.startsWith('danger'));
+    return game;
+}
+
+// Up to the tick the game over countdown is announced
+function stepUntilDanger(game) {
+    while (!(game.board.danger && game.board.danger.announced) && game.tick < SETTLE_TICKS) {
+        game.step();
+    }
+    assert.ok(game.board.danger, 'no countdown started');
+}
+
+test('drops take their fruit from the injected rng and timestamps from the injected clock', () => {
+    const game = createTestGame();
+    const block = game.drop(400);
+    
+    assert.strictEqual(block.level, 1);
+    assert.strictEqual(block.createdAt, 1000);
+    assert.strictEqual(game.state.startedAt, 1000);
+    assert.strictEqual(game.state.totalBlocks, 1);
+    game.destroy();
+});
+
+test('step(n) advances exactly n ticks', () => {
+    const game = createTestGame();
+    
+    assert.strictEqual(game.step(10), 10);
+    assert.strictEqual(game.tick, 10);
+    game.step();
+    assert.strictEqual(game.tick, 11);
+    game.destroy();
+});
+
+test('the same seed plays out the same game', () => {
+    const play = () => {
+        const game = createTestGame({ rng: null, seed: 1234 });
+        [300, 420, 380, 500, 310].forEach(x => {
+            game.drop(x);
+            game.step(60);
+        });
+        game.step(SETTLE_TICKS);
+        const result = { score: game.state.score, blocks: game.state.blocks.map(b => [b.uid, b.level, b.x, b.y]) };
+        game.destroy();
+        return result;
+    };
+    
+    assert.deepStrictEqual(play(), play());
+});
+
+test('game ids can be pinned, or drawn from a given factory for every game', () => {
+    const pinned = createTestGame({ gameId: 'game-1' });
+    assert.strictEqual(pinned.state.gameId, 'game-1');
+    pinned.restart({ gameId: 'game-2' });
+    assert.strictEqual(pinned.state.gameId, 'game-2');
+    pinned.destroy();
+    
+    let count = 0;
+    const counted = createTestGame({ gameId: () => `game-${++count}` });
+    assert.strictEqual(counted.state.gameId, 'game-1');
+    counted.restart();
+    assert.strictEqual(counted.state.gameId, 'game-2');
+    counted.destroy();
+});
+
+test('two matching fruit merge into the next level for 2^level * 10 points', () => {
+    const game = createTestGame();
+    game.drop(400, 'ann');
+    game.step(SETTLE_TICKS);
+    game.drop(400, 'bob');
+    game.step(SETTLE_TICKS);
+    
+    assert.deepStrictEqual(game.state.blocks.map(b => b.level), [2]);
+    assert.strictEqual(game.state.score, 40);
+    assert.strictEqual(game.state.combo, 0); // The combo window has long passed
+    assert.strictEqual(game.state.maxCombo, 1);
+    
+    const [merge] = game.merges();
+    assert.strictEqual(merge.points, 40);
+    assert.strictEqual(merge.level, 2);
+    assert.strictEqual(merge.droppedBy, 'bob');
+    
+    // Merged fruit moves like regular fruit, though level 2 drops as small fruit
+    const body = game.board.bodiesMap.get(game.state.blocks[0].uid);
+    assert.strictEqual(body.friction, config.physics.fruit.friction);
+    assert.strictEqual(body.frictionAir, config.physics.fruit.frictionAir);
+    
+    // Owned by both droppers, who split the points
+    assert.deepStrictEqual(game.state.blocks[0].owners, ['ann', 'bob']);
+    assert.strictEqual(game.state.playerStats.ann.points, 20);
+    assert.strictEqual(game.state.playerStats.bob.points, 20);
+    game.destroy();
+});
+
+test('merges within the combo window build a combo worth 10% more per link', () => {
+    const game = createTestGame();
+    game.drop(200);
+    game.drop(600);
+    game.step(SETTLE_TICKS);
+    // Both pairs land together, so the second merge follows well within the window
+    game.drop(200);
+    game.drop(600);
+    game.step(SETTLE_TICKS);
+    
+    const merges = game.merges();
+    assert.strictEqual(merges.length, 2);
+    assert.deepStrictEqual(merges.map(m => [m.combo, m.points]), [[1, 40], [2, 48]]);
+    assert.strictEqual(game.state.score, 88);
+    assert.strictEqual(game.state.maxCombo, 2);
+    game.destroy();
+});
+
+test('a merge after the combo window has closed starts a new combo', () => {
+    const game = createTestGame();
+    game.drop(200);
+    game.drop(600);
+    game.step(SETTLE_TICKS);
+    game.drop(200);
+    game.step(SETTLE_TICKS);
+    assert.strictEqual(game.state.combo, 0);
+    
+    game.drop(600);
+    game.step(SETTLE_TICKS);
+    
+    assert.deepStrictEqual(game.merges().map(m => [m.combo, m.points]), [[1, 40], [1, 40]]);
+    assert.strictEqual(game.state.score, 80);
+    assert.strictEqual(game.state.maxCombo, 1);
+    game.destroy();
+});
+
+test('settled fruit over the line ends the game after exactly the grace period', () => {
+    const game = createTestGame({ config: lowLineConfig() });
+    const { graceTicks } = getGameOverRules(config);
+    assert.strictEqual(graceTicks * TICK_MS, 3000);
+    game.drop(400, 'ann');
+    
+    // Land and settle; the countdown runs from the first tick it lay still
+    game.step(SETTLE_TICKS);
+    const since = game.board.danger.sinceTick;
+    assert.strictEqual(game.state.gameOver, false);
+    
+    game.step(since + graceTicks - game.tick - 1);
+    assert.strictEqual(game.state.gameOver, false);
+    
+    game.step();
+    assert.strictEqual(game.state.gameOver, true);
+    assert.strictEqual(game.state.endReason, 'overflow');
+    assert.strictEqual(game.tick, since + graceTicks);
+    assert.strictEqual(game.board.danger, null);
+    assert.strictEqual(game.state.playerStats.ann.fruitsLost, 1);
+    assert.strictEqual(game.events.at(-1).event, 'gameOver');
+    
+    // A finished game stands still
+    assert.strictEqual(game.step(10), 0);
+    assert.strictEqual(game.drop(400), null);
+    game.destroy();
+});
+
+test('fruit passing through the danger zone does not end the game', () => {
+    const game = createTestGame();
+    for (let i = 0; i < 6; i++) {
+        game.drop(100 + i * 120);
+        game.step(30);
+    }
+    game.step(SETTLE_TICKS * 2);
+    
+    assert.strictEqual(game.state.gameOver, false);
+    assert.strictEqual(game.board.danger, null);
+    assert.deepStrictEqual(game.dangerEvents(), []);
+    game.destroy();
+});
+
+test('the countdown is announced, reported every second and starts over once the fruit moves', () => {
+    const game = createTestGame({ config: lowLineConfig() });
+    const first = game.drop(400);
+    stepUntilDanger(game);
+    const { sinceTick } = game.board.danger;
+    game.step(DANGER_TICK_INTERVAL);
+    
+    // Announced a moment after it started, counting down from then on
+    const [start, tick] = game.dangerEvents();
+    assert.strictEqual(start.event, 'dangerStart');
+    assert.strictEqual(start.tick, sinceTick + 12);
+    assert.deepStrictEqual(start.data, { uids: [first.uid], graceMs: 3000, remainingMs: 2800, deadlineTick: sinceTick + 180 });
+    assert.strictEqual(tick.event, 'dangerTick');
+    assert.strictEqual(tick.tick, sinceTick + 60);
+    assert.deepStrictEqual(tick.data, { uids: [first.uid], remainingMs: 2000, deadlineTick: sinceTick + 180 });
+    
+    // Knocked loose by the next drop: called off, and counted again once everything rests
+    game.drop(400);
+    game.step(SETTLE_TICKS);
+    const later = game.dangerEvents().slice(2).filter(({ event }) => event !== 'dangerTick');
+    assert.deepStrictEqual(later.slice(0, 2).map(({ event, data }) => [event, data.reason]), [['dangerCleared', 'clear'], ['dangerStart', undefined]]);
+    assert.ok(later[1].data.deadlineTick > start.data.deadlineTick);
+    game.destroy();
+});
+
+test('fruit that is only still for a moment is never announced', () => {
+    const game = createTestGame({ config: lowLineConfig() });
+    game.drop(400); // Still above the line on the tick it appears
+    game.step();
+    assert.notStrictEqual(game.board.danger, null);
+    assert.strictEqual(game.board.danger.announced, false);
+    
+    game.step(2);
+    assert.strictEqual(game.board.danger, null);
+    assert.deepStrictEqual(game.dangerEvents(), []);
+    game.destroy();
+});
+
+test('the grace period and settle velocity come from the config', () => {
+    const firstDanger = (gameOver) => {
+        const game = createTestGame({ config: lowLineConfig(gameOver) });
+        game.drop(400);
+        game.step(SETTLE_TICKS * 2);
+        const [start] = game.dangerEvents();
+        const result = { start: start.tick, graceMs: start.data.graceMs, deadlineTick: start.data.deadlineTick, end: game.tick };
+        game.destroy();
+        return result;
+    };
+    
+    const standard = firstDanger({});
+    const quick = firstDanger({ graceMs: 1000 });
+    assert.deepStrictEqual(quick, { start: standard.start, graceMs: 1000, deadlineTick: standard.deadlineTick - 120, end: standard.deadlineTick - 120 });
+    
+    // Any speed counts as settled, so the countdown starts the moment it is dropped
+    const eager = firstDanger({ settleVelocity: 50 });
+    assert.ok(eager.start < standard.start);
+    assert.deepStrictEqual([eager.deadlineTick, eager.end], [1 + 180, 1 + 180]); // From its first tick
+});
+
+test('with the last chance rule a merge during the countdown starts it over', () => {
+    const game = createTestGame({ config: lowLineConfig({ graceMs: 10000, lastChance: true }) });
+    game.drop(400);
+    stepUntilDanger(game);
+    const deadline = game.board.danger.deadlineTick;
+    game.drop(400);
+    game.step(SETTLE_TICKS);
+    assert.strictEqual(game.merges().length, 1);
+    
+    const events = game.dangerEvents().filter(({ event }) => event !== 'dangerTick');
+    assert.deepStrictEqual(events.map(({ event }) => event), ['dangerStart', 'dangerCleared', 'dangerStart']);
+    assert.deepStrictEqual(events[1].data, { reason: 'merge' });
+    
+    // The merged fruit is still over the line and gets the full grace period again
+    const restart = events[2];
+    assert.ok(restart.tick >= events[1].tick);
+    assert.strictEqual(restart.data.deadlineTick, game.board.danger.sinceTick + 600);
+    assert.ok(restart.data.deadlineTick > deadline);
+    assert.strictEqual(game.board.danger.deadlineTick, restart.data.deadlineTick);
+    game.destroy();
+});
+
+test('a board saved during a freeze comes back with only the frozen fruit frozen', () => {
+    const party = configs.get('party');
+    const game = createTestGame({ config: party, rng: null, seed: 1 }); // Snapshots need a seeded rng
+    const early = game.drop(200, 'ann', getFruitByLevel(party, 1));
+    game.step(SETTLE_TICKS);
+    game.drop(600, 'ann', getPowerUpBlock(party, 'freeze'));
+    while (game.state.frozenUntilTick === null) {
+        game.step();
+    }
+    const late = game.drop(400, 'ann', getFruitByLevel(party, 1)); // Dropped during the freeze, so never frozen
+    game.step(10);
+    
+    const restored = createTestGame({ config: party, snapshot: getBoardSnapshot(game.board) });
+    const isStatic = uid => [game, restored].map(({ board }) => board.bodiesMap.get(uid).isStatic);
+    assert.deepStrictEqual(isStatic(early.uid), [true, true]);
+    assert.deepStrictEqual(isStatic(late.uid), [false, false]);
+    game.destroy();
+    restored.destroy();
+});
+
+test('restart resets the board and keeps the high score', () => {
+    const game = createTestGame();
+    game.drop(400);
+    game.step(SETTLE_TICKS);
+    game.drop(400);
+    game.step(SETTLE_TICKS);
+    const { gameId } = game.state;
+    assert.strictEqual(game.state.score, 40);
+    
+    game.restart({ seed: 7 });
+    
+    assert.notStrictEqual(game.state.gameId, gameId);
+    assert.strictEqual(game.tick, 0);
+    assert.strictEqual(game.state.score, 0);
+    assert.strictEqual(game.state.highScore, 40);
+    assert.deepStrictEqual(game.state.blocks, []);
+    assert.strictEqual(game.state.totalBlocks, 0);
+    assert.strictEqual(game.state.maxCombo, 0);
+    assert.strictEqual(game.state.gameOver, false);
+    assert.strictEqual(game.board.bodiesMap.size, 0);
+    assert.strictEqual(game.board.comboCount, 0);
+    assert.strictEqual(game.board.danger, null);
+    assert.deepStrictEqual(game.board.recording, { seed: 7, drops: [], merges: [] });
+    
+    // And plays on normally
+    game.drop(400);
+    game.step(SETTLE_TICKS);
+    assert.strictEqual(game.state.blocks.length, 1);
+    game.destroy();
+});
@@ -0,0 +1,328 @@
+// Socket flows against the server, started in this process on a free port with its own data dir
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'suikiii-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.SESSION_GRACE_MS = '100';
+process.env.IP_DROP_COOLDOWN_MS = '0'; // Every client here shares one address
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { io: connect } = require('socket.io-client');
+const { loadGameConfigs } = require('../lib/gameConfig');
+const { createGame, getFruitByLevel, getBoardSnapshot } = require('../lib/gameEngine');
+const server = require('../server');
+
+const EVENT_TIMEOUT_MS = 3000;
+let url;
+const clients = [];
+
+before(async () => {
+    const port = await server.start({ port: 0 });
+    url = `http://localhost:${port}`;
+});
+
+after(async () => {
+    clients.forEach(client => client.disconnect());
+    await server.stop();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function connectClient(auth) {
+    const client = connect(url, { auth, transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(client);
+    return client;
+}
+
+// Next `event` on client whose payload passes `match`
+function nextEvent(client, event, match = () => true, timeoutMs = EVENT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            client.off(event, listener);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeoutMs);
+        function listener(data) {
+            if (!match(data)) return;
+            clearTimeout(timer);
+            client.off(event, listener);
+            resolve(data);
+        }
+        client.on(event, listener);
+    });
+}
+
+// Admin API call; token: false sends none
+async function adminRequest(method, route, { token = process.env.ADMIN_TOKEN, body } = {}) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    if (body) headers['Content-Type'] = 'application/json';
+    const res = await fetch(`${url}/admin${route}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+}
+
+// Connected, with the session and first keyframe in hand
+async function joinRoom(room, auth = {}) {
+    const client = connectClient({ room, playerName: 'Tester', ...auth });
+    const [session, gameState] = await Promise.all([nextEvent(client, 'session'), nextEvent(client, 'gameState')]);
+    return { client, session, gameState };
+}
+
+test('joining a room hands out a session, the host role and a keyframe', async () => {
+    const { session, gameState } = await joinRoom('join', { playerName: 'Ann' });
+    
+    assert.match(session.sessionToken, /\S+/);
+    assert.strictEqual(session.name, 'Ann');
+    assert.strictEqual(session.isHost, true);
+    assert.strictEqual(session.spectating, false);
+    
+    assert.strictEqual(gameState.roomId, 'join');
+    assert.strictEqual(gameState.hostId, session.playerId);
+    assert.deepStrictEqual(gameState.blocks, []);
+    assert.strictEqual(gameState.score, 0);
+    assert.strictEqual(typeof gameState.tick, 'number');
+    assert.ok(gameState.nextFruit && gameState.nextFruit.level >= 1);
+});
+
+test('a drop reaches everyone in the room', async () => {
+    const ann = await joinRoom('drops');
+    const bob = await joinRoom('drops');
+    assert.strictEqual(bob.session.isHost, false);
+    
+    const delta = nextEvent(bob.client, 'gameStateDelta', data => data.added && data.added.length > 0);
+    const accepted = nextEvent(ann.client, 'dropAccepted');
+    ann.client.emit('dropFruit', { x: 300 });
+    
+    await accepted;
+    const [block] = (await delta).added;
+    assert.deepStrictEqual(block.owners, [ann.session.playerId]);
+    assert.strictEqual(block.x, 300);
+});
+
+test('malformed payloads are refused with INVALID_PAYLOAD', async () => {
+    const { client } = await joinRoom('invalid');
+    
+    const error = nextEvent(client, 'error');
+    client.emit('dropFruit', { x: 'left' });
+    
+    const { event, code, message } = await error;
+    assert.strictEqual(event, 'dropFruit');
+    assert.strictEqual(code, 'INVALID_PAYLOAD');
+    assert.match(message, /x/);
+});
+
+test('spectators watch but cannot drop', async () => {
+    await joinRoom('watch');
+    const { client, session } = await joinRoom('watch', { spectate: true });
+    assert.strictEqual(session.spectating, true);
+    
+    const error = nextEvent(client, 'error');
+    client.emit('dropFruit', { x: 300 });
+    
+    assert.strictEqual((await error).code, 'SPECTATING');
+});
+
+test('the host restarts the game from a fresh keyframe', async () => {
+    const { client, gameState: first } = await joinRoom('restart');
+    const dropped = nextEvent(client, 'gameStateDelta', data => data.added && data.added.length > 0);
+    client.emit('dropFruit', { x: 400 });
+    await dropped;
+    
+    const keyframe = nextEvent(client, 'gameState');
+    client.emit('restart');
+    const restarted = await keyframe;
+    
+    assert.ok(restarted.seq > first.seq);
+    assert.deepStrictEqual(restarted.blocks, []);
+    assert.strictEqual(restarted.score, 0);
+    assert.strictEqual(restarted.totalBlocks, 0);
+    assert.ok(restarted.tick < 5);
+});
+
+test('a drop waiting for its tick is dropped with its player, and forgotten on restart', async () => {
+    const ann = await joinRoom('pending');
+    const bob = await joinRoom('pending');
+    const aheadOf = ({ tick }) => ({ x: 400, tick: tick + 1000 }); // Clamped to the furthest tick allowed
+    
+    // Bob is kicked while his drop waits
+    const bobAccepted = nextEvent(bob.client, 'dropAccepted');
+    bob.client.emit('dropFruit', aheadOf(bob.gameState));
+    await bobAccepted;
+    ann.client.emit('kick', { playerId: bob.session.playerId });
+    
+    // Ann's drop waits for a tick the restart never reaches
+    const annAccepted = nextEvent(ann.client, 'dropAccepted');
+    ann.client.emit('dropFruit', aheadOf(ann.gameState));
+    await annAccepted;
+    const keyframe = nextEvent(ann.client, 'gameState');
+    ann.client.emit('restart');
+    await keyframe;
+    
+    // Past the cooldown, but long before the spawn zone check would give up waiting
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const added = [];
+    ann.client.on('gameStateDelta', data => added.push(...(data.added || [])));
+    const accepted = nextEvent(ann.client, 'dropAccepted');
+    ann.client.emit('dropFruit', { x: 200 });
+    await accepted;
+    
+    await new Promise(resolve => setTimeout(resolve, 800));
+    assert.deepStrictEqual(added.map(block => [block.x, block.owners]), [[200, [ann.session.playerId]]]);
+});
+
+test('anyone else asking for a restart starts a vote', async () => {
+    await joinRoom('vote');
+    const { client, session } = await joinRoom('vote');
+    
+    const vote = nextEvent(client, 'restartVoteStarted');
+    client.emit('restart');
+    
+    const status = await vote;
+    assert.strictEqual(status.initiatorId, session.playerId);
+    assert.strictEqual(status.yes, 1);
+    assert.strictEqual(status.needed, 2);
+});
+
+test('the host can only mute players in their own room', async () => {
+    const ann = await joinRoom('mute');
+    const bob = await joinRoom('mute');
+    const outsider = await joinRoom('mute-elsewhere');
+    
+    const refused = nextEvent(ann.client, 'error', error => error.event === 'mute');
+    ann.client.emit('mute', { playerId: outsider.session.playerId });
+    assert.deepStrictEqual(await refused, { event: 'mute', code: 'INVALID_TARGET', message: 'No such player in this room' });
+    
+    const muted = nextEvent(bob.client, 'playerMuted');
+    ann.client.emit('mute', { playerId: bob.session.playerId });
+    assert.strictEqual((await muted).playerId, bob.session.playerId);
+});
+
+test('admin bodies that are not JSON, or too large, get a JSON error', async () => {
+    const post = body => fetch(`${url}/admin/announcements`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+        body
+    }).then(async res => ({ status: res.status, body: await res.json() }));
+    
+    assert.deepStrictEqual(await post('{"message": "hi'), { status: 400, body: { error: 'Body is not valid JSON' } });
+    assert.deepStrictEqual(await post(JSON.stringify({ message: 'x'.repeat(20000) })), { status: 413, body: { error: 'Body is too large' } });
+});
+
+test('an ended game can be verified against its replay, by admins only', async () => {
+    const { client } = await joinRoom('verify');
+    const dropped = nextEvent(client, 'gameStateDelta', data => data.added && data.added.length > 0);
+    client.emit('dropFruit', { x: 400 });
+    await dropped;
+    
+    const ended = await adminRequest('POST', '/rooms/verify/end');
+    assert.strictEqual(ended.status, 200);
+    const { gameId } = ended.body;
+    
+    const refused = await adminRequest('GET', `/replays/${gameId}/verify`, { token: false });
+    assert.strictEqual(refused.status, 401);
+    
+    // The replay is written in the background
+    let verified;
+    for (let attempt = 0; attempt < 20; attempt++) {
+        verified = await adminRequest('GET', `/replays/${gameId}/verify`);
+        if (verified.status !== 404) break;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.gameId, gameId);
+    assert.strictEqual(verified.body.matches, true);
+});
+
+test('lookahead bots share the thinking time and all get to drop', async () => {
+    const { client } = await joinRoom('bots');
+    const added = [];
+    for (let i = 0; i < 2; i++) {
+        const { status, body } = await adminRequest('POST', '/rooms/bots/bots', { body: { difficulty: 'hard' } });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.strategy, 'lookahead');
+        added.push(body.playerId);
+    }
+    
+    // A first drop comes after a drop interval (1.4s) plus six bot loops of lookahead (0.6s)
+    const dropped = new Set();
+    await nextEvent(client, 'gameStateDelta', (data) => {
+        (data.added || []).forEach(block => block.owners.forEach(owner => dropped.add(owner)));
+        return added.every(id => dropped.has(id));
+    }, 4000);
+    
+    await Promise.all(added.map(id => adminRequest('DELETE', `/rooms/bots/bots/${id}`)));
+});
+
+const configs = loadGameConfigs(path.join(__dirname, '..', 'config'));
+
+// Saves a game for roomId as if an instance that stopped had run it
+function writeSnapshot(roomId, board) {
+    const snapshot = { version: 1, roomId, savedAt: Date.now(), ...getBoardSnapshot(board) };
+    fs.mkdirSync(path.join(DATA_DIR, 'snapshots'), { recursive: true });
+    fs.writeFileSync(path.join(DATA_DIR, 'snapshots', `${roomId}.json`), JSON.stringify(snapshot));
+    return snapshot;
+}
+
+test('a room saved by an instance that stopped is taken over from its snapshot', async () => {
+    // The game as the previous owner left it: two fruit merged for 40 points
+    const config = configs.get('classic');
+    const game = createGame({ config });
+    game.drop(400, 'ann', getFruitByLevel(config, 1));
+    game.step(240);
+    game.drop(400, 'bob', getFruitByLevel(config, 1));
+    game.step(240);
+    assert.strictEqual(game.state.score, 40);
+    const snapshot = writeSnapshot('adopted', game.board);
+    game.destroy();
+    
+    const { gameState } = await joinRoom('adopted');
+    assert.strictEqual(gameState.score, 40);
+    assert.deepStrictEqual(gameState.blocks.map(block => block.level), [2]);
+    assert.ok(gameState.tick >= snapshot.tick);
+    
+    const owner = await fetch(`${url}/rooms/adopted/owner`).then(res => res.json());
+    assert.strictEqual(owner.roomId, 'adopted');
+    assert.match(owner.instanceId, /\S+/);
+});
+
+test('a game over countdown stands still while the game is paused', async () => {
+    // A line just above the floor, so the one fruit on the board rests over it
+    const classic = configs.get('classic');
+    const config = {
+        ...classic,
+        board: { ...classic.board, gameOverLine: classic.board.height - 10 },
+        gameOver: { ...classic.gameOver, graceMs: 1500 }
+    };
+    const game = createGame({ config });
+    game.drop(400, 'ann', getFruitByLevel(config, 1));
+    game.step(120);
+    assert.strictEqual(game.state.gameOver, false);
+    writeSnapshot('danger', game.board);
+    game.destroy();
+    
+    const { client } = await joinRoom('danger');
+    const start = await nextEvent(client, 'dangerStart');
+    assert.strictEqual(start.graceMs, 1500);
+    
+    const frozen = nextEvent(client, 'dangerTick');
+    await adminRequest('POST', '/rooms/danger/pause');
+    const { remainingMs } = await frozen;
+    assert.ok(remainingMs > 0);
+    
+    // Paused for longer than the whole grace period
+    let ended = false;
+    client.once('gameOver', () => {
+        ended = true;
+    });
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    assert.strictEqual(ended, false);
+    
+    const resumed = nextEvent(client, 'dangerTick');
+    const over = nextEvent(client, 'gameOver');
+    await adminRequest('POST', '/rooms/danger/resume');
+    assert.strictEqual((await resumed).remainingMs, remainingMs);
+    assert.strictEqual((await over).reason, 'overflow');
+});
@@ -0,0 +1,128 @@
+// Shared stores: two instances on one file and one memory broker, as in a cluster
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryBroker } = require('../lib/broker');
+const { createSharedStore } = require('../lib/sharedStore');
+const { createProgressStore } = require('../lib/progressStore');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+// Messages are delivered on a later turn
+const delivered = () => new Promise(resolve => setImmediate(resolve));
+
+function createDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suikiii-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function createInstances(filePath, options = {}) {
+    const broker = createMemoryBroker();
+    const create = instanceId => createSharedStore(filePath, {
+        broker,
+        channel: 'test',
+        instanceId,
+        saveDelayMs: 10000, // Saved by flush() only
+        label: 'test entries',
+        ...options
+    });
+    return [create('a'), create('b')];
+}
+
+const readFile = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test('a change on one instance reaches the other without going through the file', async (t) => {
+    const filePath = path.join(createDir(t), 'entries.json');
+    const [a, b] = createInstances(filePath);
+    await Promise.all([a.load(), b.load()]);
+    
+    a.set('ann', { score: 1 });
+    await delivered();
+    
+    assert.deepStrictEqual(b.get('ann'), { score: 1 });
+    assert.strictEqual(fs.existsSync(filePath), false);
+    await Promise.all([a.flush(), b.flush()]);
+});
+
+test('both instances\' changes end up in the file, whoever saves last', async (t) => {
+    const filePath = path.join(createDir(t), 'entries.json');
+    const [a, b] = createInstances(filePath);
+    await Promise.all([a.load(), b.load()]);
+    
+    a.set('ann', { score: 1 });
+    b.set('bob', { score: 2 });
+    await delivered();
+    await a.flush();
+    await b.flush();
+    
+    assert.deepStrictEqual(readFile(filePath), { ann: { score: 1 }, bob: { score: 2 } });
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['entries.json']); // No temp files left
+});
+
+test('entries only found in the file are kept by a save', async (t) => {
+    const filePath = path.join(createDir(t), 'entries.json');
+    const [a] = createInstances(filePath);
+    await a.load();
+    
+    // Saved by an instance this one never heard from
+    fs.writeFileSync(filePath, JSON.stringify({ cat: { score: 4 } }));
+    a.set('ann', { score: 1 });
+    await a.flush();
+    
+    assert.deepStrictEqual(readFile(filePath), { ann: { score: 1 }, cat: { score: 4 } });
+    assert.deepStrictEqual(a.get('cat'), { score: 4 });
+});
+
+test('a late message does not undo a newer change', async (t) => {
+    const filePath = path.join(createDir(t), 'entries.json');
+    const [a, b] = createInstances(filePath, { publishDelayMs: 50 });
+    await Promise.all([a.load(), b.load()]);
+    
+    a.set('ann', { score: 1 }); // Published in 50ms
+    await new Promise(resolve => setTimeout(resolve, 5));
+    b.set('ann', { score: 2 });
+    await new Promise(resolve => setTimeout(resolve, 80));
+    
+    assert.deepStrictEqual(a.get('ann'), { score: 2 });
+    assert.deepStrictEqual(b.get('ann'), { score: 2 });
+    await Promise.all([a.flush(), b.flush()]);
+});
+
+test('a file that cannot be parsed is never written over', async (t) => {
+    const filePath = path.join(createDir(t), 'entries.json');
+    fs.writeFileSync(filePath, '{"ann": {"sco');
+    const [a] = createInstances(filePath);
+    await assert.rejects(a.load(), /Failed to read test entries/);
+    
+    // Broken after loading: the save gives up and leaves it as it is
+    const [b] = createInstances(filePath);
+    fs.writeFileSync(filePath, '{}');
+    await b.load();
+    fs.writeFileSync(filePath, '{"ann": {"sco');
+    b.set('bob', { score: 2 });
+    await b.flush();
+    
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{"ann": {"sco');
+});
+
+test('player ids are looked up as keys, never as object properties', async (t) => {
+    const store = createProgressStore(path.join(createDir(t), 'progress.json'), {
+        broker: createMemoryBroker(),
+        instanceId: 'a'
+    });
+    await store.load();
+    
+    assert.strictEqual(store.getProgress('__proto__'), null);
+    assert.strictEqual(store.getProgress('constructor'), null);
+    
+    store.updateProgress('__proto__', (progress) => {
+        progress.xp = 5;
+    });
+    assert.strictEqual(store.getProgress('__proto__').xp, 5);
+    assert.strictEqual({}.xp, undefined);
+    await store.flush();
+});